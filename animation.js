@@ -5,6 +5,7 @@
       ease the local t, and create an in-between drawing by interpolating strokes.
   - If a drawing has more strokes than the next one (or vice versa), we "ghost" the
       extras so they fade in/out gracefully instead of popping.
+  - Strokes are only matched within the same layer, and layer opacity/visibility fades between drawings.
 */
 
 window.Anim = (function () {
@@ -39,7 +40,7 @@ window.Anim = (function () {
 
       // Draw final state  
       if (tGlobal >= 1) {
-        drawDrawing(storedDrawings[n - 1].strokes);
+        drawDrawing(storedDrawings[n - 1].strokes, storedDrawings[n - 1].layers);
         Anim.running = false;
         return;
       }
@@ -54,7 +55,7 @@ window.Anim = (function () {
       const A = storedDrawings[i].strokes;
       const B = storedDrawings[i + 1].strokes;
       const tween = tweenDrawingsMulti(A, B, local);
-      drawDrawing(tween);
+      drawDrawing(tween, tweenLayers(storedDrawings[i].layers, storedDrawings[i + 1].layers, local));
     },
   };
 
@@ -111,8 +112,31 @@ window.Anim = (function () {
   function ghostFromStrokeLike(s) {
     const c = centroidOf(s.points);
     const N = 20;
-    const pts = Array.from({ length: N }, () => ({ x: c.x, y: c.y }));
-    return { colHSB: { ...s.colHSB }, thickness: 0.001, opacity: 0, eraser: false, points: pts };
+    const pts = Array.from({ length: N }, () => ({ x: c.x, y: c.y, w: 1 }));
+    return {
+      colHSB: { ...s.colHSB }, thickness: 0.001, opacity: 0, eraser: false, points: pts,
+      closed: !!s.closed, fillHSB: s.fillHSB ? { ...s.fillHSB } : null, fillOpacity: 0,
+      brush: s.brush, dashLen: s.dashLen, gapLen: s.gapLen, nibAngle: s.nibAngle,
+      stops: s.stops ? s.stops.map(st => ({ ...st })) : null, sharp: !!s.sharp, layer: s.layer ?? null
+    };
+  }
+
+  // Gradient stops of a stroke; a single-color stroke acts as a two-stop gradient of its color
+  function stopsOf(s) {
+    if (Array.isArray(s.stops) && s.stops.length >= 2) return s.stops;
+    const { h, s: sat, b } = s.colHSB;
+    return [{ t: 0, h, s: sat, b }, { t: 1, h, s: sat, b }];
+  }
+
+  // Morph two stop lists: sample both at every stop position of either, then interpolate
+  function tweenStops(a, b, t) {
+    if (!(a.stops?.length >= 2) && !(b.stops?.length >= 2)) return null;
+    const sa = stopsOf(a), sb = stopsOf(b);
+    const ts = [...new Set(sa.map(s => s.t).concat(sb.map(s => s.t)))].sort((x, y) => x - y);
+    return ts.map(u => {
+      const ca = Stroke.stopColorAt(sa, u), cb = Stroke.stopColorAt(sb, u);
+      return { t: u, h: Stroke.lerpHue(ca.h, cb.h, t), s: lerp(ca.s, cb.s, t), b: lerp(ca.b, cb.b, t) };
+    });
   }
 
 // Resample a polyline (array of points) to have N evenly spaced points
@@ -145,25 +169,36 @@ function resamplePointsLocal(points, N) {
     const t0 = L[i - 1], t1 = L[i];
     const u = (t - t0) / (t1 - t0 || 1e-9);
 
-    // Interpolate point location between p0 and p1
+    // Interpolate point location (and width factor) between p0 and p1
     const p0 = points[i - 1], p1 = points[i];
-    out.push({ x: lerp(p0.x, p1.x, u), y: lerp(p0.y, p1.y, u) });
+    out.push({ x: lerp(p0.x, p1.x, u), y: lerp(p0.y, p1.y, u), w: lerp(p0.w ?? 1, p1.w ?? 1, u) });
   }
 
   return out;
 }
 
+// Closed strokes are resampled around the whole loop, and the sample that lands back on the start is dropped,
+// so open and closed strokes both give N points
+function loopPoints(s, N) {
+  if (!(s.closed && s.points.length >= 3)) return resamplePointsLocal(s.points, N);
+  return resamplePointsLocal(s.points.concat([s.points[0]]), N + 1).slice(0, N);
+}
+
 // Interpolate between two strokes (a and b) at time t in [0,1]
-// Returns a new stroke with interpolated points, color, thickness, and opacity
+// Returns a new stroke with interpolated points, color, thickness, opacity, and fill
 function tweenTwoStrokes(a, b, t, N = 60) {
   // Resample both strokes to have the same number of points
-  const pa = resamplePointsLocal(a.points, N);
-  const pb = resamplePointsLocal(b.points, N);
+  const pa = loopPoints(a, N);
+  const pb = loopPoints(b, N);
 
-  // Interpolate each point
+  // Interpolate each point and its width factor
   const pts = [];
   for (let j = 0; j < N; j++)
-    pts.push({ x: lerp(pa[j].x, pb[j].x, t), y: lerp(pa[j].y, pb[j].y, t) });
+    pts.push({
+      x: lerp(pa[j].x, pb[j].x, t),
+      y: lerp(pa[j].y, pb[j].y, t),
+      w: lerp(pa[j].w ?? 1, pb[j].w ?? 1, t)
+    });
 
   // Interpolate color (HSB), thickness, and opacity
   const colHSB = {
@@ -176,15 +211,47 @@ function tweenTwoStrokes(a, b, t, N = 60) {
   const thickness = lerp(a.thickness || 4, b.thickness || 4, t);
   const opacity = lerp(a.opacity ?? 100, b.opacity ?? 100, t);
 
-  return { colHSB, thickness, opacity, eraser: false, points: pts };
+  // Fill fades in/out when only one side has one; open/closed switches halfway
+  const closed = t < 0.5 ? !!a.closed : !!b.closed;
+  const fa = a.fillHSB || b.fillHSB, fb = b.fillHSB || a.fillHSB;
+  let fillHSB = null, fillOpacity = 0;
+  if (fa && fb) {
+    fillHSB = { h: lerp(fa.h, fb.h, t), s: lerp(fa.s, fb.s, t), b: lerp(fa.b, fb.b, t) };
+    fillOpacity = lerp(a.fillHSB ? (a.fillOpacity ?? 100) : 0, b.fillHSB ? (b.fillOpacity ?? 100) : 0, t);
+  }
+
+  // Brush style switches halfway; its numeric settings are interpolated
+  const brush = (t < 0.5 ? a.brush : b.brush) || 'solid';
+  const dashLen = lerp(a.dashLen ?? 12, b.dashLen ?? 12, t);
+  const gapLen = lerp(a.gapLen ?? 8, b.gapLen ?? 8, t);
+  const nibAngle = lerp(a.nibAngle ?? 45, b.nibAngle ?? 45, t);
+
+  return {
+    colHSB, thickness, opacity, eraser: false, points: pts, closed, fillHSB, fillOpacity,
+    brush, dashLen, gapLen, nibAngle, stops: tweenStops(a, b, t),
+    sharp: t < 0.5 ? !!a.sharp : !!b.sharp,
+    layer: a.layer ?? b.layer ?? null
+  };
 }
 
 // Interpolate between two drawings (arrays of strokes) at time t in [0,1]
-// Matches strokes between drawings, morphs matched pairs, and fades in/out unmatched strokes
+// Morphs layer by layer: strokes are matched only against strokes on the same layer
 function tweenDrawingsMulti(A, B, t) {
   // Ignore eraser strokes for morphing
   const AA = A.filter(s => !s.eraser);
   const BB = B.filter(s => !s.eraser);
+  const ids = [...new Set(AA.map(s => s.layer ?? null).concat(BB.map(s => s.layer ?? null)))];
+  const out = [];
+  for (const id of ids) {
+    const LA = AA.filter(s => (s.layer ?? null) === id);
+    const LB = BB.filter(s => (s.layer ?? null) === id);
+    out.push(...tweenStrokeSets(LA, LB, t));
+  }
+  return out;
+}
+
+// Matches strokes between two sets, morphs matched pairs, and fades in/out unmatched strokes
+function tweenStrokeSets(AA, BB, t) {
   const { pairs, unmatchedA, unmatchedB } = matchStrokes(AA, BB);
   const out = [];
 
@@ -203,6 +270,19 @@ function tweenDrawingsMulti(A, B, t) {
   return out;
 }
 
+// Interpolate the layer lists of two drawings; a layer missing from one side (or hidden) fades from/to zero opacity
+// The stacking order switches halfway, like other discrete properties
+function tweenLayers(LA, LB, t) {
+  if (!LA?.length && !LB?.length) return null;
+  const la = LA || [], lb = LB || [];
+  const order = (t < 0.5 ? la.concat(lb) : lb.concat(la)).filter((l, i, arr) => arr.findIndex(x => x.id === l.id) === i);
+  const effective = (l) => (l && l.visible ? (l.opacity ?? 100) : 0);
+  return order.map(l => {
+    const a = la.find(x => x.id === l.id), b = lb.find(x => x.id === l.id);
+    return { ...l, visible: true, opacity: lerp(effective(a), effective(b), t) };
+  });
+}
+
 // Expose tweenDrawingsMulti for use elsewhere
 Anim._tweenDrawingsMulti = tweenDrawingsMulti;
 return Anim;
@@ -8,6 +8,10 @@
    - Uses ai.js for AI swatches
    - Uses ai_art.js for AI art generation
    - Uses Symmetry from symmetry.js
+   - Uses Undo from undo.js
+   - Uses Shapes from shapes.js
+   - Uses Layers from layers.js
+   - Uses Select from select.js
    - This file is the main p5.js sketch that builds the drawing UI 
         (tools, sliders, color wheel, symmetry, vertex/move/erase modes), 
         manages strokes and hit-testing, and builds storing/animating frames 
@@ -19,6 +23,7 @@ let currentStroke = null;
 
 // live symmetric clones for current drag
 let liveSymmetryStrokes = [];
+let symAnchor = null;   // where the live stroke or shape started (mandala rings pick their transforms from it)
 
 // Layout (responsive width/height; keep left gutter for tools)
 let BOX = { x: 450, y: 70, w: 1100, h: 550 };
@@ -38,6 +43,24 @@ let H = 16, S = 46, B = 100, A = 100;
 let thickSlider, opacSlider, eraserSlider, saveBtn, clearBtn;
 let drawBtn, eraseBtn, eraseStrokeBtn, changeColorBtn, vertexBtn, moveBtn;
 let storeBtn, animateBtn, exportBtn, easeSelect, durationSlider, durationLabel;
+let undoBtn, redoBtn, dynWidthCheck;
+let autoCloseCheck, fillCheck, fillOpacSlider, recolorTargetSelect;
+let stabilizerSlider, simplifySlider, smoothCheck, simplifyBtn;
+let hueSpreadSlider, fadeSlider, fadeTargetSelect, scaleWidthCheck;
+let brushSelect, dashInput, gapInput, nibInput;
+let gradientCheck;
+let shapeSelect, sidesInput;
+let snapSelect, snapSpacingInput;
+let symEraseCheck, eraseToolSelect, eraseSideSelect;
+let pickToolSelect, flipHBtn, flipVBtn, groupBtn, ungroupBtn, unlinkBtn, symmetrizeBtn, replaceOrigCheck;
+
+// Gradient stops edited on the color swatch ({t, h, s, b}); the selected stop follows the wheel
+let gradStops = null;
+let selectedStop = -1;
+
+// Per-tool options shown below the AI panels (see layoutModeOptions)
+let modeOpts = {};
+const OPT_ROWS = [815, 840, 865, 890];
 let isExporting = false;
 let _exportState = { rec: null, id: null, off: null, chunks: [] };
 let symDropdown = null;
@@ -53,13 +76,36 @@ let selectedStrokeIdx = -1;
 let selectedVertexIdx = -1;
 let draggingVertex = false;
 
-// MOVE mode state
-let movingStrokeIdx = -1;
-let prevMouse = null;
+// MOVE mode state: selected strokes, custom pivot (null = box center), and the active drag
+let selection = [];
+let selPivot = null;
+let selDrag = null;
+
+// Dragging the symmetry center handle
+let draggingCenter = null;   // symmetry origin when a center drag started (for undo)
 
 // Vector eraser state
 let erasing = false;
 let eraserPrev = null; 
+let eraseBefore = null;
+let eraseIndex = null;    // spatial index of stroke segments for the current eraser drag
+let eraseRegion = null;   // lasso or polygon eraser outline being drawn [{x, y}]
+
+// Message shown briefly when drawing on a hidden or locked layer is refused
+let layerNotice = null;
+
+// Undo state for in-place edits (move / vertex drag)
+let pendingEdit = null;
+
+// Lazy-brush position (trails the pointer by the stabilizer length)
+let lazyPos = null;
+
+// Shape tool state: drag anchor for one-drag shapes, placed vertices for the polyline
+let shapeDrag = null;
+let polyPts = [];
+
+// Pen input (from Pointer Events) for per-point width
+let penState = { type: 'mouse', pressure: 0.5, lastX: 0, lastY: 0, lastT: 0, w: 1 };
 
 // AI palette state
 let paletteColors = [];
@@ -88,6 +134,11 @@ function setup() {
   thickSlider = createSlider(1, 40, 4, 1);
   thickSlider.position(40, 375).style('width','260px');
 
+  // Width from pen pressure (or drawing speed for mouse/touch)
+  dynWidthCheck = createCheckbox(' Dynamic', false);
+  dynWidthCheck.position(200, 355)
+    .style('font-size','12px').style('font-family','cursive').style('color','#111');
+
   createSpan('<b>Opacity:</b>')
     .position(40, 395)
     .style('font-size','14px').style('font-family','cursive').style('color','#111');
@@ -95,6 +146,46 @@ function setup() {
   opacSlider.position(40, 415).style('width','260px');
   opacSlider.input(() => { A = opacSlider.value(); });
 
+  // Brush style + its settings (dash/gap lengths or nib angle)
+  brushSelect = createSelect();
+  brushSelect.position(115, 392);
+  brushSelect.style('font-family','cursive').style('font-size','11px').style('padding','2px').style('border-radius','8px');
+  [['Solid', 'solid'], ['Dashed', 'dashed'], ['Dotted', 'dotted'], ['Tapered', 'tapered'], ['Calligraphic', 'calligraphic']]
+    .forEach(([label, v]) => brushSelect.option(label, v));
+  brushSelect.selected('solid');
+  brushSelect.changed(updateBrushInputs);
+  const brushInput = (val, title, x) => createInput(String(val), 'number')
+    .position(x, 392).attribute('title', title).attribute('min', '0')
+    .style('width','38px').style('font-family','cursive').style('font-size','11px');
+  dashInput = brushInput(12, 'Dash length (px)', 215);
+  gapInput = brushInput(8, 'Gap length (px)', 260);
+  nibInput = brushInput(45, 'Nib angle (degrees)', 215);
+  updateBrushInputs();
+
+  // Gradient along the stroke (stops are edited on the color swatch)
+  gradientCheck = createCheckbox(' Gradient', false);
+  gradientCheck.position(236, 312)
+    .style('font-size','12px').style('font-family','cursive').style('color','#111');
+  gradientCheck.changed(() => {
+    if (gradientCheck.checked() && !gradStops) {
+      gradStops = [{ t: 0, h: H, s: S, b: B }, { t: 1, h: (H + 60) % 360, s: S, b: B }];
+    }
+    selectedStop = gradientCheck.checked() ? 0 : -1;
+  });
+
+  // Shape tools (Freehand draws as before; shapes become ordinary strokes)
+  shapeSelect = createSelect();
+  shapeSelect.position(358, 489);
+  shapeSelect.style('font-family','cursive').style('font-size','11px').style('padding','2px').style('border-radius','8px').style('width','62px');
+  shapeSelect.option('Freehand', 'freehand');
+  for (const [kind, { label }] of Object.entries(Shapes.kinds)) shapeSelect.option(label, kind);
+  shapeSelect.selected('freehand');
+  shapeSelect.changed(() => { cancelShape(); updateShapeInputs(); setMode('draw'); });
+  sidesInput = createInput('5', 'number');
+  sidesInput.position(358, 534).attribute('title', 'Sides / star points').attribute('min', '3').attribute('max', '24')
+    .style('width','50px').style('font-family','cursive').style('font-size','11px');
+  updateShapeInputs();
+
   // Eraser Size
   createSpan('<b>Eraser Size:</b>')
     .position(40, 435)
@@ -102,6 +193,22 @@ function setup() {
   eraserSlider = createSlider(4, 80, 20, 1);
   eraserSlider.position(40, 455).style('width','260px');
 
+  // Snapping targets and the grid / ring spacing (Shift steps angles by 15 degrees either way)
+  createSpan('<b>Snap:</b>')
+    .position(318, 355)
+    .style('font-size','14px').style('font-family','cursive').style('color','#111');
+  snapSelect = createSelect();
+  snapSelect.position(318, 375);
+  snapSelect.style('font-family','cursive').style('font-size','11px').style('padding','2px').style('border-radius','8px').style('width','100px');
+  [['Off', 'off'], ['Grid', 'grid'], ['Polar', 'polar'], ['Vertices', 'vertices'], ['Grid + Vertices', 'grid+vertices'], ['Polar + Vertices', 'polar+vertices']]
+    .forEach(([label, v]) => snapSelect.option(label, v));
+  snapSelect.selected(Snap.targets);
+  snapSelect.changed(() => { Snap.targets = snapSelect.value(); Snap.clear(); });
+  snapSpacingInput = createInput(String(Snap.spacing), 'number');
+  snapSpacingInput.position(318, 402).attribute('title', 'Grid cell / ring spacing (px)').attribute('min', '5')
+    .style('width','50px').style('font-family','cursive').style('font-size','11px');
+  snapSpacingInput.input(() => { Snap.spacing = Number(snapSpacingInput.value()) || Snap.spacing; });
+
   // Buttons
   saveBtn = createButton('Save PNG');
   saveBtn.position(280, 530);
@@ -111,9 +218,9 @@ function setup() {
   clearBtn = createButton('Clear');
   clearBtn.position(190, 530);
   clearBtn.mousePressed(() => {
-    strokes = [];
+    replaceStrokes('Clear', []);
     selectedStrokeIdx = -1; selectedVertexIdx = -1;
-    movingStrokeIdx = -1; prevMouse = null;
+    selection = []; selPivot = null; selDrag = null;
   });
   styleButton(clearBtn, '#10B981');
 
@@ -139,7 +246,8 @@ function setup() {
 
   // Custom tooltip for recolor
   let ctooltip = createDiv(`• Set thickness, opacity, and color<br> 
-    • Click stroke to change`);
+    • Click stroke to change<br>
+    • Fill mode fills (and closes) the shape`);
   ctooltip.style('position', 'absolute');
   ctooltip.style('background', 'rgba(0,0,0,0.85)');
   ctooltip.style('color', '#fff');
@@ -169,7 +277,8 @@ function setup() {
   let tooltip = createDiv(`• Click stroke to view vertices.<br>
   • Click and drag vertex to move.<br>
   • Shift+click to add.<br>
-  • Backspace or delete to remove.`);
+  • Backspace or delete to remove.<br>
+  • Simplify cleans up the selected stroke.`);
   tooltip.style('position', 'absolute');
   tooltip.style('background', 'rgba(0,0,0,0.85)');
   tooltip.style('color', '#fff');
@@ -195,6 +304,44 @@ function setup() {
   moveBtn.mousePressed(() => setMode('move'));
   styleButton(moveBtn, '#22C55E');
 
+  // Move tooltip
+  let mtooltip = createDiv(`• Click a stroke or drag a marquee/lasso to select.<br>
+  • Shift adds to the selection.<br>
+  • Drag handles to scale, the knob to rotate.<br>
+  • Drag the crosshair to move the pivot.<br>
+  • Arrows nudge; Ctrl+G groups, Ctrl+Shift+G ungroups.`);
+  mtooltip.style('position', 'absolute');
+  mtooltip.style('background', 'rgba(0,0,0,0.85)');
+  mtooltip.style('color', '#fff');
+  mtooltip.style('padding', '6px 8px');
+  mtooltip.style('border-radius', '6px');
+  mtooltip.style('font-size', '12px');
+  mtooltip.style('line-height', '1.3em');
+  mtooltip.style('max-width', '210px');
+  mtooltip.style('pointer-events', 'none');
+  mtooltip.style('display', 'none');
+  mtooltip.style('z-index', '10');
+
+  moveBtn.mouseOver(() => {
+    mtooltip.position(moveBtn.x + 70, moveBtn.y - 5);
+    mtooltip.style('display', 'block');
+  });
+  moveBtn.mouseOut(() => {
+    mtooltip.style('display', 'none');
+  });
+
+  // Undo / Redo (Ctrl+Z / Ctrl+Shift+Z)
+  undoBtn = createButton('Undo');
+  undoBtn.position(362, 35);
+  undoBtn.mousePressed(() => { if (!Anim.running) Undo.undo(); });
+
+  redoBtn = createButton('Redo');
+  redoBtn.position(362, 75);
+  redoBtn.mousePressed(() => { if (!Anim.running) Undo.redo(); });
+  styleHistoryButtons();
+
+  createModeOptions();
+
   // Store and Animate
   storeBtn = createButton('Store');
   storeBtn.position(30, 575);
@@ -253,21 +400,78 @@ function setup() {
     try { addArtStrokes(e.detail); } catch (err) { console.error(err); }
   });
 
+  // Pointer Events carry pen pressure and feed freehand points; pens also report the coalesced samples between frames
+  cnv.elt.style.touchAction = 'none';
+  const trackPointer = (e) => {
+    penState.type = e.pointerType || 'mouse';
+    penState.pressure = typeof e.pressure === 'number' ? e.pressure : 0.5;
+  };
+  cnv.elt.addEventListener('pointerdown', trackPointer);
+  cnv.elt.addEventListener('pointermove', (e) => {
+    if (!currentStroke) { trackPointer(e); return; }
+    const coalesced = e.pointerType === 'pen' && e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+    for (const ev of (coalesced.length ? coalesced : [e])) {
+      trackPointer(ev);
+      const p = canvasPoint(ev);
+      freehandPoint(p.x, p.y);
+    }
+  });
+
   // Configure helpers
   if (window.Erase?.configure) {
-    Erase.configure({ clampToBoxX, clampToBoxY });
+    Erase.configure({ clampToBoxX, clampToBoxY, canErase: (s) => Layers.isEditable(s.layer) });
   }
   if (window.Vertex?.configure) {
     Vertex.configure({ clampToBoxX, clampToBoxY });
   }
+  Select.configure({ box: () => BOX });
+  // Vertices snap only to strokes that can be seen; polar sectors follow the symmetry center and N
+  Snap.configure({
+    box: () => BOX,
+    strokes: () => strokes.filter(s => Layers.isVisible(s.layer)),
+    polar: (at) => {
+      const c = Symmetry.centerOf(BOX);
+      return { cx: c.x, cy: c.y, ...Symmetry.polarDivisions(BOX, at) };
+    }
+  });
+  Undo.configure({
+    set: (next) => { strokes = next; },
+    onApply: () => {
+      currentStroke = null; liveSymmetryStrokes = [];
+      selectedStrokeIdx = -1; selectedVertexIdx = -1; draggingVertex = false;
+      selection = []; selPivot = null; selDrag = null; pendingEdit = null;
+      eraseIndex = null;
+    }
+  });
+
+  // Layers panel (layer changes go on the same undo stack as stroke changes)
+  Layers.init({
+    box: BOX,
+    onChange: (label, before, after) => {
+      Undo.push({ label, undo: () => Layers.restore(before), redo: () => Layers.restore(after) });
+      // Drop a selection that is now on a hidden or locked layer
+      const sel = strokes[selectedStrokeIdx];
+      if (sel && !Layers.isEditable(sel.layer)) { selectedStrokeIdx = -1; selectedVertexIdx = -1; }
+      pruneSelection();
+    }
+  });
 
   // Wire storage panel 
   Store.init({
     box: BOX,
     mountBelowPx: 45,
     onLoadRequested: (idx) => {
-      const loaded = Store.loadStored(idx);
-      strokes = loaded;
+      // Strokes and the frame's layers are swapped (and undone) together
+      const before = { strokes, layers: Layers.snapshot() };
+      strokes = Store.loadStored(idx);
+      Layers.restore(Store.storedLayers(idx) || before.layers);
+      Symmetry.setOrigin(Store.storedSymmetry(idx));
+      const after = { strokes, layers: Layers.snapshot() };
+      Undo.push({
+        label: 'Load frame',
+        undo: () => { strokes = before.strokes.slice(); Layers.restore(before.layers); },
+        redo: () => { strokes = after.strokes.slice(); Layers.restore(after.layers); },
+      });
       currentStroke = null;
       liveSymmetryStrokes = [];
       selectedStrokeIdx = -1;
@@ -278,16 +482,17 @@ function setup() {
   // After panel mounts, tighten BOX.h to avoid vertical scroll
   updateBoxForWindow();
   Store.reposition({ box: BOX });
+  Layers.reposition({ box: BOX });
 
   // Storage/Animation button handlers 
   storeBtn.mousePressed(() => {
     if (Anim.running) return;
-    Store.addFrameFrom(strokes, () => get(BOX.x, BOX.y, BOX.w, BOX.h));
+    Store.addFrameFrom(strokes, captureBox, Layers.list(), Symmetry.getOrigin());
   });
 
   animateBtn.mousePressed(() => {
     if (Store.count() < 2) { alert('Need at least 2 stored drawings to animate.'); return; }
-    strokes = []; currentStroke = null; liveSymmetryStrokes = [];
+    replaceStrokes('Animate', []); currentStroke = null; liveSymmetryStrokes = [];
     selectedStrokeIdx = -1; selectedVertexIdx = -1;
     const ms = Number(durationSlider?.value() || 10) * 1000;
     Anim.start(ms);
@@ -298,7 +503,7 @@ function setup() {
     if (isExporting) return;
     if (Store.count() < 2) { alert('Need at least 2 stored drawings to export.'); return; }
     // Prepare clean canvas state and start animation
-    strokes = []; currentStroke = null; liveSymmetryStrokes = [];
+    replaceStrokes('Export', []); currentStroke = null; liveSymmetryStrokes = [];
     selectedStrokeIdx = -1; selectedVertexIdx = -1;
     const seconds = Number(durationSlider?.value() || 10);
     const ms = seconds * 1000;
@@ -311,6 +516,140 @@ function setup() {
   setMode('draw');
 }
 
+// Per-tool option controls; layoutModeOptions shows the ones for the current tool
+function createModeOptions() {
+  const optLabel = (html) => createSpan(html)
+    .style('font-size','12px').style('font-family','cursive').style('color','#111');
+  const optCheck = (label, on) => createCheckbox(label, on)
+    .style('font-size','12px').style('font-family','cursive').style('color','#111');
+
+  // Closed shapes: auto-close on release, fill new shapes, fill opacity
+  autoCloseCheck = optCheck(' Auto-close', true);
+  fillCheck = optCheck(' Fill new shapes', false);
+  fillOpacSlider = createSlider(0, 100, 60, 1);
+
+  // What Change recolors: the line or the fill (fill closes the stroke)
+  recolorTargetSelect = createSelect();
+  recolorTargetSelect.style('font-family','cursive').style('font-size','11px').style('padding','3px').style('border-radius','8px');
+  recolorTargetSelect.option('Change: Line', 'stroke');
+  recolorTargetSelect.option('Change: Fill', 'fill');
+  recolorTargetSelect.selected('stroke');
+
+  // Lazy-brush stabilizer (string length in px) and commit-time simplification tolerance
+  stabilizerSlider = createSlider(0, 60, 0, 1);
+  simplifySlider = createSlider(0, 10, 0, 0.5);
+  smoothCheck = optCheck(' Smooth', false);
+
+  simplifyBtn = createButton('Simplify');
+  simplifyBtn.mousePressed(simplifySelectedStroke);
+  styleButton(simplifyBtn, '#0EA5E9');
+
+  for (const sl of [fillOpacSlider, stabilizerSlider, simplifySlider]) sl.style('width', '100px');
+
+  // Per-clone style variation for symmetric drawing (hue across clones, depth fade, width following scale)
+  const vary = Symmetry.variation;
+  hueSpreadSlider = createSlider(0, 360, vary.hueSpread, 5);
+  hueSpreadSlider.input(() => { vary.hueSpread = Number(hueSpreadSlider.value()); });
+  fadeSlider = createSlider(0, 50, vary.fade, 1);
+  fadeSlider.input(() => { vary.fade = Number(fadeSlider.value()); });
+  for (const sl of [hueSpreadSlider, fadeSlider]) sl.style('width', '80px');
+  fadeTargetSelect = createSelect();
+  fadeTargetSelect.style('font-family','cursive').style('font-size','11px').style('padding','3px').style('border-radius','8px');
+  fadeTargetSelect.option('Fade: Brightness', 'brightness');
+  fadeTargetSelect.option('Fade: Opacity', 'opacity');
+  fadeTargetSelect.selected(vary.fadeTarget);
+  fadeTargetSelect.changed(() => { vary.fadeTarget = fadeTargetSelect.value(); });
+  scaleWidthCheck = optCheck(' Scale width', vary.scaleThickness);
+  scaleWidthCheck.changed(() => { vary.scaleThickness = scaleWidthCheck.checked(); });
+
+  // Erase: brush, lasso, or polygon eraser (regions erase inside or outside), repeated at every symmetric position
+  eraseToolSelect = createSelect();
+  eraseToolSelect.style('font-family','cursive').style('font-size','11px').style('padding','3px').style('border-radius','8px');
+  eraseToolSelect.option('Eraser: Brush', 'brush');
+  eraseToolSelect.option('Eraser: Lasso', 'lasso');
+  eraseToolSelect.option('Eraser: Polygon', 'polygon');
+  eraseToolSelect.selected('brush');
+  eraseToolSelect.changed(() => { eraseRegion = null; });
+  eraseSideSelect = createSelect();
+  eraseSideSelect.style('font-family','cursive').style('font-size','11px').style('padding','3px').style('border-radius','8px');
+  eraseSideSelect.option('Erase inside', 'inside');
+  eraseSideSelect.option('Erase outside', 'outside');
+  eraseSideSelect.selected('inside');
+  symEraseCheck = optCheck(' Symmetric erase', true);
+
+  // Move: how empty-space drags pick strokes, plus flip and group commands for the selection
+  pickToolSelect = createSelect();
+  pickToolSelect.style('font-family','cursive').style('font-size','11px').style('padding','3px').style('border-radius','8px');
+  pickToolSelect.option('Select: Marquee', 'marquee');
+  pickToolSelect.option('Select: Lasso', 'lasso');
+  pickToolSelect.selected('marquee');
+  const optButton = (label, fn, bg) => {
+    const b = createButton(label);
+    b.mousePressed(fn);
+    styleButton(b, bg);
+    b.style('height', '24px');
+    return b;
+  };
+  flipHBtn = optButton('Flip H', () => flipSelection(true), '#22C55E');
+  flipVBtn = optButton('Flip V', () => flipSelection(false), '#22C55E');
+  groupBtn = optButton('Group', groupSelection, '#374151');
+  ungroupBtn = optButton('Ungroup', ungroupSelection, '#374151');
+  unlinkBtn = optButton('Unlink', unlinkSelection, '#EF4444');
+  symmetrizeBtn = optButton('Symmetrize', symmetrizeSelection, '#6366F1');
+  replaceOrigCheck = optCheck(' Replace originals', false);
+
+  modeOpts = {
+    autoClose: autoCloseCheck, fillNew: fillCheck,
+    fillOpacLabel: optLabel('Fill Opacity:'), fillOpac: fillOpacSlider,
+    recolorTarget: recolorTargetSelect,
+    stabLabel: optLabel('Stabilizer:'), stab: stabilizerSlider,
+    simpLabel: optLabel('Simplify:'), simp: simplifySlider, smooth: smoothCheck,
+    simplifyBtn,
+    hueLabel: optLabel('Hue Shift:'), hueSpread: hueSpreadSlider,
+    fadeLabel: optLabel('Depth Fade:'), fade: fadeSlider, fadeTarget: fadeTargetSelect, scaleWidth: scaleWidthCheck,
+    pickTool: pickToolSelect, flipH: flipHBtn, flipV: flipVBtn, group: groupBtn, ungroup: ungroupBtn, unlink: unlinkBtn,
+    symmetrize: symmetrizeBtn, replaceOrig: replaceOrigCheck,
+    eraseTool: eraseToolSelect, eraseSide: eraseSideSelect, symErase: symEraseCheck,
+  };
+}
+
+// [control, x, row] for each tool mode
+const MODE_OPTION_LAYOUT = {
+  draw: [
+    ['autoClose', 40, 0], ['fillNew', 140, 0], ['fadeTarget', 262, 0],
+    ['fillOpacLabel', 40, 1], ['fillOpac', 130, 1], ['hueLabel', 245, 1], ['hueSpread', 318, 1],
+    ['stabLabel', 40, 2], ['stab', 130, 2], ['fadeLabel', 245, 2], ['fade', 318, 2],
+    ['simpLabel', 40, 3], ['simp', 130, 3], ['smooth', 240, 3], ['scaleWidth', 318, 3],
+  ],
+  recolor: [
+    ['recolorTarget', 40, 0],
+    ['fillOpacLabel', 40, 1], ['fillOpac', 130, 1],
+  ],
+  vertex: [
+    ['simpLabel', 40, 0], ['simp', 130, 0], ['smooth', 240, 0],
+    ['simplifyBtn', 40, 1],
+  ],
+  move: [
+    ['pickTool', 40, 0], ['unlink', 190, 0],
+    ['flipH', 40, 1], ['flipV', 115, 1], ['group', 190, 1], ['ungroup', 265, 1],
+    ['symmetrize', 40, 2], ['replaceOrig', 150, 2],
+  ],
+  erase: [
+    ['eraseTool', 40, 0], ['symErase', 190, 0],
+    ['eraseSide', 40, 1],
+  ],
+};
+
+function layoutModeOptions() {
+  for (const el of Object.values(modeOpts)) el.style('display', 'none');
+  for (const [name, x, row] of (MODE_OPTION_LAYOUT[toolMode] || [])) {
+    const el = modeOpts[name];
+    if (!el) continue;
+    el.position(x, OPT_ROWS[row]);
+    el.style('display', el.elt.tagName === 'BUTTON' ? 'inline-flex' : 'inline-block');
+  }
+}
+
 // Clip any drawing to box
 function withClipToBox(fn) {
   const ctx = drawingContext;
@@ -336,17 +675,33 @@ function draw() {
     });
   } else {
     withClipToBox(() => {
-      for (const s of strokes) s.draw(this);
+      if (!isExporting) {
+        Symmetry.drawGuides(BOX);
+        Snap.drawGrid(BOX, liveSymmetryStrokes.length ? symAnchor : { x: mouseX, y: mouseY });
+      }
+      Layers.render(strokes, (s, g) => s.draw(g));
       if (currentStroke) currentStroke.draw(this);
 
-      // live symmetry preview
-      for (const s of liveSymmetryStrokes) s.draw(this);
+      // live symmetry preview (with the active layer's opacity)
+      Layers.render(liveSymmetryStrokes, (s, g) => s.draw(g));
+
+      // auto-close hint: ring at the start point when the drag would close
+      if (!isExporting && liveSymmetryStrokes.length && shouldAutoClose(liveSymmetryStrokes[0])) {
+        const p0 = liveSymmetryStrokes[0].points[0];
+        noFill(); stroke('#6366F1'); strokeWeight(2);
+        circle(p0.x, p0.y, autoCloseTolerance(liveSymmetryStrokes[0]) * 2);
+      }
 
-      if (toolMode === 'vertex' && selectedStrokeIdx >= 0 && strokes[selectedStrokeIdx]) {
+      if (!isExporting && toolMode === 'vertex' && selectedStrokeIdx >= 0 && strokes[selectedStrokeIdx]) {
         Vertex.drawHandles(strokes[selectedStrokeIdx], selectedVertexIdx);
       }
-      if (toolMode === 'move' && movingStrokeIdx >= 0 && strokes[movingStrokeIdx]) {
-        drawStrokeBounds(strokes[movingStrokeIdx]);
+      if (!isExporting && toolMode === 'move') drawSelection();
+      if (!isExporting) {
+        Symmetry.drawMirrorLines(BOX);
+        Symmetry.drawCenterHandle(BOX);
+        Snap.drawIndicator();
+        if (eraseRegion) drawEraseRegion();
+        if (layerNotice) drawLayerNotice();
       }
     });
   }
@@ -357,8 +712,15 @@ function draw() {
   strokeWeight(1);
   rect(BOX.x, BOX.y, BOX.w, BOX.h);
 
-  // show eraser cursor inside the box
-  if (toolMode === 'erase' && inBox(mouseX, mouseY)) {
+  // show eraser cursor inside the box, ghosted where the symmetric copies erase
+  if (!isExporting && toolMode === 'erase' && eraseToolSelect.value() === 'brush' && inBox(mouseX, mouseY)) {
+    withClipToBox(() => {
+      noFill(); stroke(0, 0, 20, 25); strokeWeight(1);
+      for (const c of eraserCopies({ x: mouseX, y: mouseY }).slice(1)) {
+        const q = c.t(mouseX, mouseY);
+        circle(q.x, q.y, Erase.radius(eraserSlider) * c.k * 2);
+      }
+    });
     noFill(); stroke(0, 0, 20, 60); strokeWeight(1);
     circle(mouseX, mouseY, Erase.radius(eraserSlider) * 2);
   }
@@ -370,15 +732,26 @@ function mousePressed() {
   if (inBBar(mouseX, mouseY)) { pickBrightness(mouseY); return; }
   const hex = swatchAt(mouseX, mouseY);
   if (hex) { setFromHex(hex); return; }
+  if (pickGradientStop(mouseX, mouseY)) return;
 
   if (!inBox(mouseX, mouseY)) return;
   if (Anim.running) return;
 
-  // Move
+  // Custom mirror line being placed
+  if (Symmetry.isPlacingMirror()) {
+    Symmetry.beginMirrorLine(mouseX, mouseY);
+    return;
+  }
+
+  // Symmetry center handle: drag it in Move mode, or with Alt held in any mode
+  if ((toolMode === 'move' || keyIsDown(ALT)) && Symmetry.hitCenterHandle(mouseX, mouseY, BOX)) {
+    draggingCenter = Symmetry.getOrigin();
+    return;
+  }
+
+  // Move (select, then drag to move / scale / rotate)
   if (toolMode === 'move') {
-    const idx = findStrokeAt(mouseX, mouseY);
-    movingStrokeIdx = idx;
-    prevMouse = (idx !== -1) ? { x: mouseX, y: mouseY } : null;
+    selectPressed(mouseX, mouseY);
     return;
   }
 
@@ -388,13 +761,17 @@ function mousePressed() {
     if (idx !== -1) {
       selectedStrokeIdx = idx;
       const s = strokes[idx];
+      pendingEdit = Undo.beginEdit(Symmetry.linkedWith(strokes, [s]));
 
       if (keyIsDown(SHIFT)) {
         const tol = (Vertex.hitTolerance(s) + 6);
-        const hit = Vertex.closestSegmentProjection(s.points, mouseX, mouseY);
+        const hit = Vertex.closestSegmentProjection(s.points, mouseX, mouseY, s.closed);
         if (hit && hit.dist <= tol) {
           const insertAt = hit.i + 1;
-          s.points.splice(insertAt, 0, { x: clampToBoxX(hit.cx), y: clampToBoxY(hit.cy) });
+          const next = s.points[insertAt % s.points.length];
+          const w = lerp(s.points[hit.i].w ?? 1, next.w ?? 1, hit.t);
+          s.points.splice(insertAt, 0, { x: clampToBoxX(hit.cx), y: clampToBoxY(hit.cy), w });
+          Symmetry.propagate(strokes, [s]);
           selectedVertexIdx = insertAt;
           draggingVertex = true;
           return;
@@ -417,10 +794,24 @@ function mousePressed() {
     if (idx !== -1) {
       A = opacSlider.value();
       const s = strokes[idx];
-      s.col = color(H, S, B, A);
-      s.thickness = thickSlider.value();
-      s.opacity = A;
+      const edit = Undo.beginEdit(Symmetry.linkedWith(strokes, [s]));
+      if (recolorTargetSelect?.value() === 'fill') {
+        if (s.points.length >= 3) {
+          const fo = fillOpacSlider.value();
+          s.closed = true;
+          s.fillCol = color(H, S, B, fo);
+          s.fillOpacity = fo;
+        }
+      } else {
+        s.col = color(H, S, B, A);
+        s.thickness = thickSlider.value();
+        s.opacity = A;
+        Object.assign(s, brushStyle());
+        s.stops = gradientStops();
+      }
       s.eraser = false;
+      Symmetry.propagateStyle(strokes, [s], { fill: recolorTargetSelect?.value() === 'fill' });
+      Undo.commitEdit('Change', edit);
     }
     return;
   }
@@ -428,15 +819,33 @@ function mousePressed() {
   // Erase whole stroke
   if (toolMode === 'eraseStroke') {
     const idx = findStrokeAt(mouseX, mouseY);
-    if (idx !== -1) strokes.splice(idx, 1);
+    if (idx !== -1) replaceStrokes('Delete', strokes.filter((_, i) => i !== idx));
     return;
   }
 
-  // Erase mode
+  // Erase mode (lasso: drag an outline; polygon: click its corners)
   if (toolMode === 'erase') {
+    if (eraseToolSelect.value() === 'lasso') { eraseRegion = [{ x: mouseX, y: mouseY }]; return; }
+    if (eraseToolSelect.value() === 'polygon') { polygonEraserClick(mouseX, mouseY); return; }
     erasing = true;
     eraserPrev = { x: mouseX, y: mouseY };
-    strokes = Erase.applyPoint(strokes, eraserPrev, Erase.radius(eraserSlider));
+    eraseBefore = strokes;
+    eraseIndex = Erase.buildIndex(strokes);
+    strokes = eraseThrough(strokes, null, eraserPrev);
+    return;
+  }
+
+  // Hidden or locked layers can't be drawn on; say so instead of ignoring the press
+  if (!Layers.isEditable(Layers.activeId())) {
+    const l = Layers.active();
+    layerNotice = { text: `"${l?.name}" is ${l?.visible ? 'locked' : 'hidden'}: unlock or show it, or pick another layer`, t: millis() };
+    return;
+  }
+
+  // Shape tools
+  if (shapeTool() !== 'freehand') {
+    const p = snapShapePoint(mouseX, mouseY);
+    shapePressed(p.x, p.y);
     return;
   }
 
@@ -445,15 +854,24 @@ function mousePressed() {
   currentStroke = new Stroke(color(H, S, B, A), thickSlider.value(), A, false);
 
   // Build symmetric clones based on current Symmetry.mode
+  const start = Snap.point(mouseX, mouseY);
+  symAnchor = start;
   liveSymmetryStrokes = Symmetry.buildClones({
-    h: H, s: S, b: B, a: A, thickness: thickSlider.value()
-  }, BOX);
+    h: H, s: S, b: B, a: A, thickness: thickSlider.value(),
+    extra: { ...brushStyle(), stops: gradientStops(), layer: Layers.activeId() }
+  }, BOX, symAnchor);
 
   // seed first points into all clones via transforms
-  const transforms = Symmetry.getTransforms(BOX);
+  lazyPos = { x: mouseX, y: mouseY };
+  const w = startWidth(mouseX, mouseY);
+  const transforms = Symmetry.getTransforms(BOX, symAnchor);
   for (let i = 0; i < transforms.length; i++) {
-    const { x, y } = transforms[i](mouseX, mouseY);
-    liveSymmetryStrokes[i].add(x, y);
+    const { x, y } = transforms[i](start.x, start.y);
+    liveSymmetryStrokes[i].add(x, y, w);
+    // Turn the calligraphy nib with each clone so the pattern stays symmetric
+    const a = radians(liveSymmetryStrokes[i].nibAngle);
+    const q = transforms[i](start.x + Math.cos(a) * 10, start.y + Math.sin(a) * 10);
+    liveSymmetryStrokes[i].nibAngle = degrees(Math.atan2(q.y - y, q.x - x));
   }
 }
 
@@ -462,14 +880,15 @@ function mouseDragged() {
   if (inBBar(mouseX, mouseY)) { pickBrightness(mouseY); return; }
   if (Anim.running) return;
 
+  if (draggingCenter) {
+    Symmetry.setCenter(clampToBoxX(mouseX), clampToBoxY(mouseY), BOX);
+    return;
+  }
+  if (Symmetry.dragMirrorLine(clampToBoxX(mouseX), clampToBoxY(mouseY))) return;
+
   // Move
-  if (toolMode === 'move' && movingStrokeIdx >= 0) {
-    const s = strokes[movingStrokeIdx];
-    if (!s || !s.points.length) return;
-    const dx = mouseX - prevMouse.x;
-    const dy = mouseY - prevMouse.y;
-    translateStrokeClamped(s, dx, dy, BOX);
-    prevMouse = { x: mouseX, y: mouseY };
+  if (toolMode === 'move' && selDrag) {
+    selectDragged(clampToBoxX(mouseX), clampToBoxY(mouseY));
     return;
   }
 
@@ -478,72 +897,372 @@ function mouseDragged() {
     const s = strokes[selectedStrokeIdx];
     if (!s) return;
     if (selectedVertexIdx >= 0 && selectedVertexIdx < s.points.length) {
-      s.points[selectedVertexIdx].x = clampToBoxX(mouseX);
-      s.points[selectedVertexIdx].y = clampToBoxY(mouseY);
+      // Snap, skipping the dragged vertex and the siblings that move with it; Shift steps the angle from a neighbour
+      const i = selectedVertexIdx, n = s.points.length;
+      const from = (i > 0 || s.closed) ? s.points[(i - 1 + n) % n] : s.points[i + 1];
+      const p = Snap.point(clampToBoxX(mouseX), clampToBoxY(mouseY), {
+        from, angle: keyIsDown(SHIFT) && n > 1,
+        skip: Symmetry.linkedWith(strokes, [s]).filter(o => o !== s), skipPoint: { stroke: s, index: i }
+      });
+      s.points[i].x = p.x;
+      s.points[i].y = p.y;
+      Symmetry.propagate(strokes, [s]);
     }
     return;
   }
 
   // Erase
+  if (toolMode === 'erase' && eraseRegion && eraseToolSelect.value() === 'lasso') {
+    const last = eraseRegion[eraseRegion.length - 1];
+    const p = { x: clampToBoxX(mouseX), y: clampToBoxY(mouseY) };
+    if (dist(last.x, last.y, p.x, p.y) > 3) eraseRegion.push(p);
+    return;
+  }
   if (toolMode === 'erase' && erasing) {
-    strokes = Erase.applySegment(strokes, eraserPrev, { x: mouseX, y: mouseY }, Erase.radius(eraserSlider));
+    strokes = eraseThrough(strokes, eraserPrev, { x: mouseX, y: mouseY });
     eraserPrev = { x: mouseX, y: mouseY };
     return;
   }
 
-  // Freehand (with symmetry)
-  if (currentStroke && inBox(mouseX, mouseY)) {
-    const transforms = Symmetry.getTransforms(BOX);
-    for (let i = 0; i < transforms.length; i++) {
-      const { x, y } = transforms[i](mouseX, mouseY);
-      liveSymmetryStrokes[i].add(x, y);
-    }
+  // Shapes
+  if (shapeDrag || polyPts.length) {
+    const p = snapShapePoint(mouseX, mouseY);
+    shapeMoved(p.x, p.y);
+    return;
+  }
+
+  // Freehand points come from the canvas pointermove listener (see setup)
+}
+
+// Add one freehand sample (with symmetry) to the stroke being drawn
+function freehandPoint(px, py) {
+  if (!currentStroke || Anim.running || !inBox(px, py)) return;
+  const steady = stabilize(px, py);
+  if (!steady) return;
+  // Shift keeps the stroke on a 15 degree ray from its start
+  const pos = Snap.point(steady.x, steady.y, { from: symAnchor, angle: keyIsDown(SHIFT), at: symAnchor });
+  const w = sampleWidth(pos.x, pos.y);
+  const transforms = Symmetry.getTransforms(BOX, symAnchor);
+  for (let i = 0; i < transforms.length; i++) {
+    const { x, y } = transforms[i](pos.x, pos.y);
+    liveSymmetryStrokes[i].add(x, y, w);
+  }
+}
+
+// Pointer event position in canvas pixels (the same mapping p5 uses for mouseX/mouseY)
+function canvasPoint(e) {
+  const r = cnv.elt.getBoundingClientRect();
+  return { x: (e.clientX - r.left) * (width / r.width), y: (e.clientY - r.top) * (height / r.height) };
+}
+
+// Rubber-band segment while placing polyline vertices
+function mouseMoved() {
+  if (polyPts.length && !Anim.running) {
+    const p = snapShapePoint(mouseX, mouseY);
+    shapeMoved(p.x, p.y);
   }
 }
 
 function mouseReleased() {
   if (Anim.running) return;
+  if (draggingCenter) {
+    const before = draggingCenter, after = Symmetry.getOrigin();
+    draggingCenter = null;
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      Undo.push({ label: 'Move center', undo: () => Symmetry.setOrigin(before), redo: () => Symmetry.setOrigin(after) });
+    }
+    return;
+  }
+  if (Symmetry.endMirrorLine()) return;
 
   if (toolMode === 'move') {
-    movingStrokeIdx = -1;
-    prevMouse = null;
+    selectReleased();
     return;
   }
   if (toolMode === 'vertex') {
+    Undo.commitEdit('Vertex', pendingEdit);
+    pendingEdit = null;
     draggingVertex = false;
     return;
   }
   if (toolMode === 'erase') {
+    if (eraseRegion && eraseToolSelect.value() === 'lasso') finishRegionErase();
+    if (eraseBefore) Undo.replace('Erase', eraseBefore, strokes);
+    eraseBefore = null;
+    eraseIndex = null;
     erasing = false;
     eraserPrev = null;
     return;
   }
 
+  // One-drag shapes commit on release; the polyline keeps going until closed or finished
+  if (shapeDrag) { commitShape(); return; }
+  if (polyPts.length) return;
+
   // commit symmetry strokes
   if (liveSymmetryStrokes.length) {
-    for (const s of liveSymmetryStrokes) {
-      if (s.points.length >= 2) strokes.push(s);
+    // Close every clone when the primary stroke ends near where it started
+    if (shouldAutoClose(liveSymmetryStrokes[0])) {
+      const fo = fillOpacSlider.value();
+      for (const s of liveSymmetryStrokes) {
+        const a = s.points[0], b = s.points[s.points.length - 1];
+        if (s.points.length > 3 && dist(a.x, a.y, b.x, b.y) < 2) s.points.pop();
+        s.closed = true;
+        if (fillCheck.checked()) setCloneFill(s, fo);
+      }
     }
+    // Simplify (RDP + optional Chaikin) before committing
+    const tol = Number(simplifySlider.value());
+    if (tol > 0 || smoothCheck.checked()) {
+      for (const s of liveSymmetryStrokes) {
+        if (s.points.length < 3) continue;
+        s.points = Vertex.simplify(s.points, { tolerance: tol, smooth: smoothCheck.checked(), closed: s.closed });
+      }
+    }
+    const committed = liveSymmetryStrokes.filter(s => s.points.length >= 2 && touchesBox(s));
+    if (committed.length) replaceStrokes('Draw', strokes.concat(committed));
   }
   currentStroke = null;
   liveSymmetryStrokes = [];
+  lazyPos = null;
+}
+
+// Polygon eraser: each click adds a corner; clicking the first corner applies it
+function polygonEraserClick(x, y) {
+  if (!eraseRegion) eraseRegion = [];
+  const first = eraseRegion[0], last = eraseRegion[eraseRegion.length - 1];
+  if (eraseRegion.length >= 3 && dist(x, y, first.x, first.y) <= 10) { finishRegionErase(); return; }
+  if (!last || dist(x, y, last.x, last.y) > 2) eraseRegion.push({ x, y });
 }
 
+// Erase inside (or outside) the outline and its symmetric copies, in one undo step
+function finishRegionErase() {
+  const poly = eraseRegion;
+  eraseRegion = null;
+  if (!poly || poly.length < 3) return;
+  const polys = regionCopies(poly);
+  const next = Erase.applyRegion(strokes, polys, { outside: eraseSideSelect.value() === 'outside' });
+  if (next.length !== strokes.length || next.some((s, i) => s !== strokes[i])) replaceStrokes('Erase', next);
+}
+
+// The outline through every eraser copy (the mandala ring comes from its first corner)
+function regionCopies(poly) {
+  return eraserCopies(poly[0]).map(({ t }) => poly.map(p => t(p.x, p.y)));
+}
+
+// Banner along the top of the box for a couple of seconds
+function drawLayerNotice() {
+  if (millis() - layerNotice.t > 2500) { layerNotice = null; return; }
+  push();
+  noStroke(); fill(0, 0, 100, 90);
+  rect(BOX.x + 8, BOX.y + 8, BOX.w - 16, 26, 6);
+  fill(0, 75, 80); textSize(13); textAlign(LEFT, CENTER);
+  text(layerNotice.text, BOX.x + 16, BOX.y + 21);
+  pop();
+}
+
+function drawEraseRegion() {
+  const pts = eraseToolSelect.value() === 'polygon' ? eraseRegion.concat([{ x: mouseX, y: mouseY }]) : eraseRegion;
+  const copies = regionCopies(pts);
+  push();
+  drawingContext.setLineDash([5, 4]);
+  copies.forEach((poly, i) => {
+    stroke(0, 80, 90, i === 0 ? 90 : 35); strokeWeight(1.5);
+    fill(0, 80, 90, eraseSideSelect.value() === 'inside' ? 8 : 0);
+    beginShape(); for (const p of poly) vertex(p.x, p.y); endShape(CLOSE);
+  });
+  drawingContext.setLineDash([]);
+  // Ring on the first polygon corner, where a click closes it
+  if (eraseToolSelect.value() === 'polygon' && eraseRegion.length >= 3) {
+    noFill(); stroke(0, 80, 90, 90);
+    circle(eraseRegion[0].x, eraseRegion[0].y, 20);
+  }
+  pop();
+}
+
+// Eraser copies: every symmetry transform (its radius scaled with it) while Symmetric erase is on, else the
+// pointer alone; the mandala ring comes from the eraser's position
+function eraserCopies(p) {
+  const identity = [{ t: (x, y) => ({ x, y }), k: 1 }];
+  if (!symEraseCheck?.checked()) return identity;
+  return Symmetry.getTransforms(BOX, p).map(t => {
+    const m = Symmetry.matrixOf(t);
+    return { t, k: Math.sqrt(Math.abs(m.a * m.d - m.b * m.c)) || 1 };
+  });
+}
+
+// Erase at a point (from === null) or along a segment at each copy; copies that stay outside the box are skipped
+function eraseThrough(list, from, to) {
+  const r = Erase.radius(eraserSlider);
+  let out = list;
+  for (const { t, k } of eraserCopies(to)) {
+    const b = t(to.x, to.y), a = from ? t(from.x, from.y) : b;
+    const rk = r * k;
+    if (Math.max(a.x, b.x) < BOX.x - rk || Math.min(a.x, b.x) > BOX.x + BOX.w + rk ||
+        Math.max(a.y, b.y) < BOX.y - rk || Math.min(a.y, b.y) > BOX.y + BOX.h + rk) continue;
+    out = from ? Erase.applySegment(out, a, b, rk, eraseIndex) : Erase.applyPoint(out, b, rk, eraseIndex);
+  }
+  return out;
+}
+
+// Fill a closed clone with its own line color (which may carry the clone's hue shift and fade), faded like its line
+function setCloneFill(s, fo) {
+  const k = A > 0 ? Math.min(1, (s.opacity ?? A) / A) : 1;
+  s.fillOpacity = fo * k;
+  s.fillCol = color(hue(s.col), saturation(s.col), brightness(s.col), s.fillOpacity);
+}
+
+// Tiling clones that land wholly outside the box are dropped when committing
+function touchesBox(s) {
+  const b = Select.bounds([s]);
+  if (!b) return false;
+  const pad = (s.thickness || 0) / 2;
+  return b.maxx + pad >= BOX.x && b.minx - pad <= BOX.x + BOX.w && b.maxy + pad >= BOX.y && b.miny - pad <= BOX.y + BOX.h;
+}
+
+// Fields that take typed text (shortcuts wait until focus leaves them)
+function isTextEntry(el) {
+  if (!el) return false;
+  if (el.isContentEditable || el.tagName === 'TEXTAREA') return true;
+  return el.tagName === 'INPUT' && ['text', 'number', 'search'].includes(el.type);
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) for undo/redo
 // Delete/Backspace to remove selected vertex (Vertex mode)
-function keyPressed() {
+function keyPressed(e) {
+  // Leave keys alone while typing in a text/number field (sliders and checkboxes keep the shortcuts)
+  if (isTextEntry(document.activeElement)) return;
+  if (e && (e.ctrlKey || e.metaKey)) {
+    const k = String(key).toLowerCase();
+    if (k === 'z' || k === 'y') {
+      if (!Anim.running) {
+        if (k === 'y' || e.shiftKey) Undo.redo(); else Undo.undo();
+      }
+      return false;
+    }
+    // Ctrl+G / Ctrl+Shift+G group and ungroup, Ctrl+A selects every editable stroke (Move mode)
+    if (toolMode === 'move' && (k === 'g' || k === 'a')) {
+      if (k === 'a') setSelection(strokes.filter(s => Layers.isEditable(s.layer)));
+      else if (e.shiftKey) ungroupSelection(); else groupSelection();
+      return false;
+    }
+  }
+
+  // Arrow keys nudge the selection (Shift = 10px); Delete removes it; Escape deselects
+  if (toolMode === 'move' && selection.length && !selDrag) {
+    const step = keyIsDown(SHIFT) ? 10 : 1;
+    const nudges = { [LEFT_ARROW]: [-step, 0], [RIGHT_ARROW]: [step, 0], [UP_ARROW]: [0, -step], [DOWN_ARROW]: [0, step] };
+    if (nudges[keyCode]) { nudgeSelection(...nudges[keyCode]); return false; }
+    if (keyCode === DELETE || keyCode === BACKSPACE) {
+      const gone = new Set(selection);
+      replaceStrokes('Delete', strokes.filter(s => !gone.has(s)));
+      setSelection([]);
+      return false;
+    }
+    if (keyCode === ESCAPE) { setSelection([]); return false; }
+  }
+
+  // Enter applies a polygon eraser, Escape discards it
+  if (eraseRegion && toolMode === 'erase') {
+    if (keyCode === ENTER) { finishRegionErase(); return false; }
+    if (keyCode === ESCAPE) { eraseRegion = null; return false; }
+  }
+
+  // Enter finishes an open polyline, Escape discards it
+  if (polyPts.length) {
+    if (keyCode === ENTER) { finishPolyline(false); return false; }
+    if (keyCode === ESCAPE) { cancelShape(); return false; }
+  }
+
   if (toolMode === 'vertex' && selectedStrokeIdx >= 0) {
     if (keyCode === DELETE || keyCode === BACKSPACE) {
       const s = strokes[selectedStrokeIdx];
       if (!s) return;
-      if (selectedVertexIdx >= 0 && s.points.length > 2) {
+      if (selectedVertexIdx >= 0 && s.points.length > (s.closed ? 3 : 2)) {
+        const edit = Undo.beginEdit(Symmetry.linkedWith(strokes, [s]));
         s.points.splice(selectedVertexIdx, 1);
+        Symmetry.propagate(strokes, [s]);
         selectedVertexIdx = Math.min(selectedVertexIdx, s.points.length - 1);
+        Undo.commitEdit('Delete vertex', edit);
       }
       return false;
     }
   }
 }
 
+// Brush style fields for new or recolored strokes
+function brushStyle() {
+  const num = (el, fallback) => {
+    const v = Number(el?.value());
+    return Number.isFinite(v) ? v : fallback;
+  };
+  return {
+    brush: brushSelect?.value() || 'solid',
+    dashLen: Math.max(1, num(dashInput, 12)),
+    gapLen: Math.max(1, num(gapInput, 8)),
+    nibAngle: num(nibInput, 45),
+  };
+}
+function updateBrushInputs() {
+  const b = brushSelect?.value();
+  const show = (el, on) => el && el.style('display', on ? 'inline-block' : 'none');
+  show(dashInput, b === 'dashed');
+  show(gapInput, b === 'dashed' || b === 'dotted');
+  show(nibInput, b === 'calligraphic');
+}
+
+// Lazy brush: the pen trails the pointer on a string; returns null until the string is taut
+function stabilize(x, y) {
+  const L = Number(stabilizerSlider?.value() || 0);
+  if (!lazyPos || L <= 0) { lazyPos = { x, y }; return lazyPos; }
+  const d = dist(lazyPos.x, lazyPos.y, x, y);
+  if (d <= L) return null;
+  const k = (d - L) / d;
+  lazyPos = { x: lazyPos.x + (x - lazyPos.x) * k, y: lazyPos.y + (y - lazyPos.y) * k };
+  return lazyPos;
+}
+
+// Simplify the stroke selected in Vertex mode
+function simplifySelectedStroke() {
+  if (toolMode !== 'vertex' || Anim.running) return;
+  const s = strokes[selectedStrokeIdx];
+  if (!s || s.points.length < 3) return;
+  const edit = Undo.beginEdit(Symmetry.linkedWith(strokes, [s]));
+  s.points = Vertex.simplifyStroke(s.points, {
+    tolerance: Math.max(0.5, Number(simplifySlider.value())),
+    smooth: smoothCheck.checked(),
+    closed: s.closed,
+  });
+  Symmetry.propagate(strokes, [s]);
+  selectedVertexIdx = -1;
+  Undo.commitEdit('Simplify', edit);
+}
+
+// Per-point width factor: pen pressure when available, otherwise slower = wider
+function startWidth(x, y) {
+  penState.lastX = x; penState.lastY = y; penState.lastT = millis();
+  penState.w = 1;
+  if (!dynWidthCheck?.checked()) return 1;
+  if (penState.type === 'pen' && penState.pressure > 0) penState.w = pressureWidth(penState.pressure);
+  return penState.w;
+}
+function sampleWidth(x, y) {
+  if (!dynWidthCheck?.checked()) return 1;
+  const now = millis();
+  let w;
+  if (penState.type === 'pen' && penState.pressure > 0) {
+    w = pressureWidth(penState.pressure);
+  } else {
+    const dt = Math.max(1, now - penState.lastT);
+    const speed = dist(penState.lastX, penState.lastY, x, y) / dt; // px per ms
+    const target = constrain(1.5 - speed * 0.5, 0.3, 1.5);
+    w = lerp(penState.w, target, 0.35);
+  }
+  penState.lastX = x; penState.lastY = y; penState.lastT = now; penState.w = w;
+  return w;
+}
+function pressureWidth(pressure) { return constrain(0.15 + pressure * 1.7, 0.15, 1.85); }
+
 // Hit tests and pickers
 function inBox(x, y) { return x >= BOX.x && x <= BOX.x + BOX.w && y >= BOX.y && y <= BOX.y + BOX.h; }
 function inWheel(x, y) { const dx = x - WHEEL.cx, dy = y - WHEEL.cy; return (dx*dx + dy*dy) <= (WHEEL.r * WHEEL.r); }
@@ -553,8 +1272,44 @@ function pickFromWheel(mx, my) {
   let ang = degrees(Math.atan2(dy, dx)); if (ang < 0) ang += 360;
   const r = Math.min(WHEEL.r, Math.hypot(dx, dy));
   H = ang; S = Math.round(map(r, 0, WHEEL.r, 0, 100, true));
+  syncSelectedStop();
+}
+function pickBrightness(my) {
+  B = Math.round(map(constrain(my, BBAR.y, BBAR.y + BBAR.h), BBAR.y + BBAR.h, BBAR.y, 0, 100));
+  syncSelectedStop();
+}
+
+// Gradient stops: click the swatch to add a stop or select one, Shift+click a stop to remove it
+function swatchRect() { return { x: 40, y: WHEEL.cy + WHEEL.r + 12, w: 260, h: 28 }; }
+function pickGradientStop(mx, my) {
+  if (!gradientCheck?.checked() || !gradStops) return false;
+  const r = swatchRect();
+  if (mx < r.x || mx > r.x + r.w || my < r.y || my > r.y + r.h + 10) return false;
+  const u = constrain((mx - r.x) / r.w, 0, 1);
+  const near = gradStops.findIndex(st => Math.abs(st.t - u) * r.w <= 6);
+  if (near !== -1) {
+    if (keyIsDown(SHIFT)) {
+      if (gradStops.length > 2) { gradStops.splice(near, 1); selectedStop = -1; }
+      return true;
+    }
+    selectedStop = near;
+    ({ h: H, s: S, b: B } = gradStops[near]);
+    return true;
+  }
+  const st = { t: u, h: H, s: S, b: B };
+  gradStops.push(st);
+  gradStops.sort((a, b) => a.t - b.t);
+  selectedStop = gradStops.indexOf(st);
+  return true;
+}
+function syncSelectedStop() {
+  if (!gradientCheck?.checked() || !gradStops || !gradStops[selectedStop]) return;
+  Object.assign(gradStops[selectedStop], { h: H, s: S, b: B });
+}
+function gradientStops() {
+  if (!gradientCheck?.checked() || !gradStops || gradStops.length < 2) return null;
+  return gradStops.map(st => ({ ...st }));
 }
-function pickBrightness(my) { B = Math.round(map(constrain(my, BBAR.y, BBAR.y + BBAR.h), BBAR.y + BBAR.h, BBAR.y, 0, 100)); }
 
 // Rendering
 function drawUIPanel() {
@@ -579,7 +1334,11 @@ function drawUIPanel() {
 
   // swatch + readouts
   const swY = WHEEL.cy + WHEEL.r + 12;
-  noStroke(); fill(H, S, B, A); rect(40, swY, 260, 28, 8);
+  if (gradientCheck?.checked() && gradStops) {
+    drawGradientSwatch();
+  } else {
+    noStroke(); fill(H, S, B, A); rect(40, swY, 260, 28, 8);
+  }
   stroke('#111'); noFill(); rect(40, swY, 260, 28, 8);
 
   const c = color(H, S, B, A);
@@ -593,6 +1352,22 @@ function drawUIPanel() {
   drawPaletteStrip();
 }
 
+// Gradient preview on the swatch with a marker under each stop
+function drawGradientSwatch() {
+  const r = swatchRect();
+  strokeWeight(1);
+  for (let i = 0; i < r.w; i++) {
+    const c = Stroke.stopColorAt(gradStops, i / (r.w - 1));
+    stroke(c.h, c.s, c.b, A);
+    line(r.x + i, r.y + 2, r.x + i, r.y + r.h - 2);
+  }
+  for (let i = 0; i < gradStops.length; i++) {
+    const st = gradStops[i], x = r.x + st.t * r.w, y = r.y + r.h;
+    fill(st.h, st.s, st.b); stroke(i === selectedStop ? '#3B82F6' : '#111'); strokeWeight(i === selectedStop ? 2 : 1);
+    triangle(x, y, x - 5, y + 8, x + 5, y + 8);
+  }
+}
+
 function drawBox() {
   noStroke(); fill('#ffffff'); rect(BOX.x, BOX.y, BOX.w, BOX.h);
   stroke('#111'); strokeWeight(1); noFill(); rect(BOX.x, BOX.y, BOX.w, BOX.h);
@@ -619,7 +1394,7 @@ function swatchAt(mx, my) {
     if (mx >= x && mx <= x + PALETTE.sw && my >= y && my <= y + PALETTE.sw) return paletteColors[i];
   } return null;
 }
-function setFromHex(hex) { const { h, s, b } = hexToHSB(hex); H = h; S = s; B = b; }
+function setFromHex(hex) { const { h, s, b } = hexToHSB(hex); H = h; S = s; B = b; syncSelectedStop(); }
 function hexToHSB(hex) {
   const m = /^#?([0-9a-f]{6})$/i.exec(hex);
   if (!m) return { h: H, s: S, b: B };
@@ -632,7 +1407,17 @@ function hexToHSB(hex) {
 }
 
 // Save PNG of drawing box
-function saveCropped() { const img = get(BOX.x, BOX.y, BOX.w, BOX.h); img.save('drawing_cropped', 'png'); }
+function saveCropped() { const img = captureBox(); img.save('drawing_cropped', 'png'); }
+
+// Grab the drawing box without guides, handles, or the selection box (redraws once with overlays off)
+function captureBox() {
+  const prev = isExporting;
+  isExporting = true;
+  redraw();
+  const img = get(BOX.x, BOX.y, BOX.w, BOX.h);
+  isExporting = prev;
+  return img;
+}
 // (handled below with responsive sizing)
 
 // Keep BOX inside the viewport with a small right/bottom margin
@@ -643,13 +1428,14 @@ function updateBoxForWindow() {
   const FOOTER_SAFETY = 24; // for footer text inside the box area
   const panelH = (window.Store && typeof Store.panelHeight === 'function') ? Store.panelHeight() : 140;
   const BOTTOM_RESERVED = MOUNT_BELOW + panelH + FOOTER_SAFETY;
+  const layersW = (window.Layers && typeof Layers.panelWidth === 'function') ? Layers.panelWidth() : 0;
 
   // Minimum sizes so the box remains usable on smaller screens
   const MIN_W = 600;
   const MIN_H = 400;
 
   // Recompute width/height to avoid overflowing right/bottom edges
-  BOX.w = Math.max(MIN_W, Math.floor(windowWidth - BOX.x - RIGHT_MARGIN));
+  BOX.w = Math.max(MIN_W, Math.floor(windowWidth - BOX.x - RIGHT_MARGIN - layersW));
   BOX.h = Math.max(MIN_H, Math.floor(windowHeight - BOX.y - BOTTOM_RESERVED));
 }
 
@@ -659,6 +1445,7 @@ function windowResized() {
   updateBoxForWindow();
   updateUIScale();
   applyUIScale();
+  Symmetry.clampCenter(BOX);
   // Reposition symmetry controls relative to BOX
   const symX = BOX.x + BOX.w - 300;
   const symY = BOX.y - 46;
@@ -666,8 +1453,9 @@ function windowResized() {
   // Keep AI panels at fixed positions; do not scale with viewport
   window.AIArt?.reposition?.(40, 640);
   window.AIPalette?.reposition?.(40, 730);
-  // Reposition storage panel under BOX
+  // Reposition storage panel under BOX and the layers panel beside it
   Store.reposition({ box: BOX });
+  Layers.reposition({ box: BOX });
   // Keep Export button above the drawing box and align to symmetry row
   // Keep Export next to the symmetry dropdown
   syncExportSizeToSymmetry();
@@ -705,6 +1493,8 @@ function applyUIScale() {
   rightAlignSymmetryDropdown();
   positionExportNextToSymmetry('left');
 
+  styleHistoryButtons();
+
   // Scale sliders' visual width
   const sliderWidth = Math.round(260 * uiScale) + 'px';
   thickSlider && thickSlider.style('width', sliderWidth);
@@ -862,6 +1652,14 @@ function styleButton(btn, bg) {
   btn.style('align-items', 'center');
   btn.style('justify-content', 'center');
 }
+// Undo/Redo sit in the narrow column right of the brightness bar
+function styleHistoryButtons() {
+  for (const b of [undoBtn, redoBtn]) {
+    if (!b) continue;
+    styleButton(b, '#64748B');
+    b.style('width', '56px');
+  }
+}
 // Dropdown-like style (match selects like ease/symmetry)
 function styleDropdownLike(btn) {
   btn.style('background', '#ffffff');
@@ -934,18 +1732,177 @@ function setMode(mode) {
   const mapBtn = { draw: drawBtn, erase: eraseBtn, eraseStroke: eraseStrokeBtn, recolor: changeColorBtn, vertex: vertexBtn, move: moveBtn };
   const active = mapBtn[mode]; if (active) active.style('box-shadow', '0 0 0 3px rgba(196, 140, 191, 0.68)');
   if (mode !== 'vertex') { draggingVertex = false; }
-  if (mode !== 'move') { movingStrokeIdx = -1; prevMouse = null; }
+  if (mode !== 'move') { selection = []; selPivot = null; selDrag = null; }
+  if (mode !== 'draw') cancelShape();
+  if (mode !== 'erase') eraseRegion = null;
+  layoutModeOptions();
+}
+
+// Shape tools
+function shapeTool() { return shapeSelect?.value() || 'freehand'; }
+function updateShapeInputs() {
+  const k = shapeTool();
+  sidesInput?.style('display', (k === 'polygon' || k === 'star') ? 'inline-block' : 'none');
+}
+function shapeSides() {
+  const n = Math.floor(Number(sidesInput?.value()));
+  return Number.isFinite(n) ? constrain(n, 3, 24) : 5;
+}
+
+// Start symmetric clones for a shape anchored at (x, y); shapes keep sharp corners
+function startShapeClones(x, y) {
+  A = opacSlider.value();
+  symAnchor = { x, y };
+  liveSymmetryStrokes = Symmetry.buildClones({
+    h: H, s: S, b: B, a: A, thickness: thickSlider.value(),
+    extra: { ...brushStyle(), stops: gradientStops(), sharp: true, layer: Layers.activeId() }
+  }, BOX, symAnchor);
+  const transforms = Symmetry.getTransforms(BOX, symAnchor);
+  for (let i = 0; i < liveSymmetryStrokes.length; i++) {
+    const c = liveSymmetryStrokes[i], t = transforms[i];
+    const p = t(x, y);
+    const a = radians(c.nibAngle);
+    const q = t(x + Math.cos(a) * 10, y + Math.sin(a) * 10);
+    c.nibAngle = degrees(Math.atan2(q.y - p.y, q.x - p.x));
+  }
+}
+
+// Replace every clone's points with the transformed primary outline
+function setShapePoints(points) {
+  const transforms = Symmetry.getTransforms(BOX, symAnchor);
+  for (let i = 0; i < liveSymmetryStrokes.length; i++) {
+    liveSymmetryStrokes[i].points = points.map(p => ({ ...transforms[i](p.x, p.y), w: 1 }));
+  }
+}
+
+// Shape points snap too; Shift steps the angle from the previous vertex or the pressed point,
+// except for rectangles and ellipses, where it already makes squares and circles
+function snapShapePoint(x, y) {
+  const from = polyPts.length ? polyPts[polyPts.length - 1] : shapeDrag?.a;
+  const angle = keyIsDown(SHIFT) && !['rect', 'ellipse'].includes(shapeDrag?.kind);
+  return Snap.point(clampToBoxX(x), clampToBoxY(y), { from, angle, at: liveSymmetryStrokes.length ? symAnchor : null });
+}
+
+function shapePressed(x, y) {
+  const kind = shapeTool();
+  if (kind === 'polyline') {
+    if (!polyPts.length) startShapeClones(x, y);
+    const first = polyPts[0], last = polyPts[polyPts.length - 1];
+    // Clicking the first vertex closes the polyline
+    if (polyPts.length >= 3 && dist(x, y, first.x, first.y) <= autoCloseTolerance(liveSymmetryStrokes[0])) {
+      finishPolyline(true);
+      return;
+    }
+    if (!last || dist(x, y, last.x, last.y) > 2) polyPts.push({ x, y, w: 1 });
+    setShapePoints(polyPts.concat([{ x, y, w: 1 }]));
+    return;
+  }
+  startShapeClones(x, y);
+  shapeDrag = { kind, a: { x, y }, a0: null, sweep: 0, lastAng: null };
+  setShapePoints([{ x, y, w: 1 }]);
+}
+
+function shapeMoved(x, y) {
+  if (polyPts.length) { setShapePoints(polyPts.concat([{ x, y, w: 1 }])); return; }
+  const d = shapeDrag, c = d.a, p = { x, y };
+  const shift = keyIsDown(SHIFT);
+  let pts;
+  switch (d.kind) {
+    case 'line': pts = Shapes.line(c, p); break;
+    case 'rect': pts = Shapes.rect(c, p, shift); break;
+    case 'ellipse': pts = Shapes.ellipse(c, p, shift); break;
+    case 'polygon': pts = Shapes.polygon(c, p, shapeSides()); break;
+    case 'star': pts = Shapes.star(c, p, shapeSides()); break;
+    case 'arc': {
+      // Pressed point is the center; the drag sets the radius and sweeps around it
+      if (dist(c.x, c.y, x, y) < 4) return;
+      const ang = Math.atan2(y - c.y, x - c.x);
+      if (d.a0 === null) { d.a0 = ang; d.lastAng = ang; }
+      d.sweep += Shapes.angleDelta(d.lastAng, ang);
+      d.lastAng = ang;
+      pts = Shapes.arc(c, dist(c.x, c.y, x, y), d.a0, d.sweep);
+      break;
+    }
+    default: return;
+  }
+  setShapePoints(pts);
+}
+
+// Double-click ends an open polyline
+function doubleClicked() {
+  if (polyPts.length) finishPolyline(false);
+  if (eraseRegion && toolMode === 'erase' && eraseToolSelect.value() === 'polygon') finishRegionErase();
+}
+
+function finishPolyline(closed) {
+  if (polyPts.length >= 2) setShapePoints(polyPts);
+  commitShape(closed);
+}
+
+function commitShape(closed = Shapes.isClosed(shapeDrag?.kind)) {
+  const minPts = closed ? 3 : 2;
+  const committed = liveSymmetryStrokes.filter(s => s.points.length >= minPts && polylineLength(s.points) > 1 && touchesBox(s));
+  if (closed) {
+    const fo = fillOpacSlider.value();
+    for (const s of committed) {
+      s.closed = true;
+      if (fillCheck.checked()) setCloneFill(s, fo);
+    }
+  }
+  if (committed.length) replaceStrokes('Shape', strokes.concat(committed));
+  cancelShape();
+}
+
+function cancelShape() {
+  shapeDrag = null;
+  polyPts = [];
+  liveSymmetryStrokes = [];
+}
+
+// Auto-close: the drag ends near its start after covering some distance
+function autoCloseTolerance(s) { return Math.max(14, (s?.thickness || 0) * 1.5); }
+function shouldAutoClose(s) {
+  if (!autoCloseCheck?.checked() || !s || s.points.length < 4) return false;
+  const a = s.points[0], b = s.points[s.points.length - 1];
+  const tol = autoCloseTolerance(s);
+  return dist(a.x, a.y, b.x, b.y) <= tol && polylineLength(s.points) > tol * 4;
+}
+function polylineLength(points) {
+  let L = 0;
+  for (let i = 1; i < points.length; i++) L += dist(points[i - 1].x, points[i - 1].y, points[i].x, points[i].y);
+  return L;
 }
 
 // Stroke picking
-function findStrokeAt(x, y) { for (let i = strokes.length - 1; i >= 0; i--) { if (strokeHit(strokes[i], x, y)) return i; } return -1; }
+// Topmost hit on a visible, unlocked layer (higher layers win, then later strokes within a layer)
+function findStrokeAt(x, y) {
+  let best = -1, bestLayer = -1;
+  for (let i = strokes.length - 1; i >= 0; i--) {
+    const s = strokes[i];
+    if (!Layers.isEditable(s.layer)) continue;
+    const li = Layers.indexOf(s.layer);
+    if (li > bestLayer && strokeHit(s, x, y)) { best = i; bestLayer = li; }
+  }
+  return best;
+}
 function strokeHit(s, px, py) {
   const pts = s.points; if (pts.length < 2) return false;
   const tol = Math.max(8, s.thickness / 2 + 4);
-  for (let i = 0; i < pts.length - 1; i++) {
-    const a = pts[i], b = pts[i + 1];
+  const closed = s.closed && pts.length >= 3;
+  const segs = closed ? pts.length : pts.length - 1;
+  for (let i = 0; i < segs; i++) {
+    const a = pts[i], b = pts[(i + 1) % pts.length];
     if (pointSegDist(px, py, a.x, a.y, b.x, b.y) <= tol) return true;
-  } return false;
+  }
+  return closed && !!s.fillCol && pointInPolygon(px, py, pts);
+}
+function pointInPolygon(px, py, pts) {
+  let inside = false;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const a = pts[i], b = pts[j];
+    if ((a.y > py) !== (b.y > py) && px < (b.x - a.x) * (py - a.y) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
 }
 function pointSegDist(px, py, x1, y1, x2, y2) {
   const dx = x2 - x1, dy = y2 - y1; const len2 = dx*dx + dy*dy;
@@ -954,22 +1911,278 @@ function pointSegDist(px, py, x1, y1, x2, y2) {
   const cx = x1 + t * dx, cy = y1 + t * dy; return dist(px, py, cx, cy);
 }
 
-// Move helpers
-function boundsOf(points) {
+// Move helpers (multi-selection)
+function setSelection(list) {
+  selection = list;
+  selPivot = null;
+}
+// Keep only strokes that still exist on visible, unlocked layers
+function pruneSelection() {
+  if (!selection.length) return;
+  const live = new Set(strokes);
+  selection = selection.filter(s => live.has(s) && Layers.isEditable(s.layer));
+}
+function selectionPivot(b) { return selPivot || (b ? { x: b.cx, y: b.cy } : null); }
+
+function selectPressed(x, y) {
+  pruneSelection();
+  const b = Select.bounds(selection);
+  const h = selection.length ? Select.hitHandle(b, selectionPivot(b), x, y) : null;
+  if (h) { beginSelectionDrag(h.kind, { handle: h }); return; }
+
+  // Clicking a stroke picks it with its group; Shift+click adds or removes it
+  const idx = findStrokeAt(x, y);
+  if (idx !== -1) {
+    const picked = Select.expandGroups(strokes, [strokes[idx]]);
+    if (keyIsDown(SHIFT)) {
+      const has = picked.every(s => selection.includes(s));
+      setSelection(has ? selection.filter(s => !picked.includes(s)) : selection.concat(picked.filter(s => !selection.includes(s))));
+      return;
+    }
+    if (!selection.includes(strokes[idx])) setSelection(picked);
+    beginSelectionDrag('move');
+    return;
+  }
+  if (selection.length && Select.contains(b, x, y) && !keyIsDown(SHIFT)) { beginSelectionDrag('move'); return; }
+
+  // Empty space: start a marquee or lasso (Shift adds to the selection)
+  const add = keyIsDown(SHIFT);
+  if (!add) setSelection([]);
+  selDrag = { kind: pickToolSelect?.value() || 'marquee', start: { x, y }, end: { x, y }, lasso: [{ x, y }], add };
+}
+
+function beginSelectionDrag(kind, extra = {}) {
+  const b = Select.bounds(selection);
+  const moving = Symmetry.linkedWith(strokes, selection);
+  selDrag = {
+    kind, start: { x: mouseX, y: mouseY }, bounds: b, pivot: selectionPivot(b), customPivot: !!selPivot,
+    snap: Select.snapshot(selection), edit: Undo.beginEdit(moving), moving, grab: grabPoint(mouseX, mouseY), ...extra
+  };
+}
+
+// The selected vertex under the pointer, so a move snaps by that vertex (otherwise by the pressed point)
+function grabPoint(x, y) {
+  let best = { x, y }, bestD = 10;
+  for (const s of selection) {
+    for (const p of s.points) {
+      const d = dist(x, y, p.x, p.y);
+      if (d < bestD) { best = { x: p.x, y: p.y }; bestD = d; }
+    }
+  }
+  return best;
+}
+
+function selectDragged(x, y) {
+  const d = selDrag;
+  switch (d.kind) {
+    case 'marquee': d.end = { x, y }; break;
+    case 'lasso': {
+      const last = d.lasso[d.lasso.length - 1];
+      if (dist(last.x, last.y, x, y) > 3) d.lasso.push({ x, y });
+      break;
+    }
+    case 'pivot': selPivot = { x, y }; break;
+    case 'move': {
+      // Snap the grabbed point (Shift keeps the move on a 15 degree ray), then keep the whole selection inside the box
+      const g = d.grab, b = d.bounds;
+      const p = Snap.point(g.x + x - d.start.x, g.y + y - d.start.y, { from: g, angle: keyIsDown(SHIFT), skip: d.moving });
+      const dx = constrain(p.x - g.x, BOX.x - b.minx, BOX.x + BOX.w - b.maxx);
+      const dy = constrain(p.y - g.y, BOX.y - b.miny, BOX.y + BOX.h - b.maxy);
+      transformSelection(Select.translate(dx, dy));
+      break;
+    }
+    case 'scale': {
+      // Scale away from the opposite handle; Shift keeps proportions on corners
+      const h = d.handle;
+      const ratio = (v, from, anchor) => (from === anchor ? 1 : (v - anchor) / (from - anchor));
+      let sx = h.sx ? ratio(x, h.x, h.ax) : 1;
+      let sy = h.sy ? ratio(y, h.y, h.ay) : 1;
+      if (keyIsDown(SHIFT) && h.sx && h.sy) {
+        const s = Math.max(Math.abs(sx), Math.abs(sy));
+        sx = Math.sign(sx || 1) * s; sy = Math.sign(sy || 1) * s;
+      }
+      // Like Move, the scaled selection stays inside the box
+      const b = d.bounds;
+      sx = fitScale(sx, h.ax, b.minx, b.maxx, BOX.x, BOX.x + BOX.w);
+      sy = fitScale(sy, h.ay, b.miny, b.maxy, BOX.y, BOX.y + BOX.h);
+      if (keyIsDown(SHIFT) && h.sx && h.sy) {
+        const s = Math.min(Math.abs(sx), Math.abs(sy));
+        sx = Math.sign(sx) * s; sy = Math.sign(sy) * s;
+      }
+      const minScale = (v) => Math.sign(v || 1) * Math.max(0.02, Math.abs(v));
+      transformSelection(Select.scaleAbout(h.ax, h.ay, minScale(sx), minScale(sy)));
+      break;
+    }
+    case 'rotate': {
+      // Rotate around the pivot; Shift snaps to 15 degree steps
+      const p = d.pivot;
+      let a = Math.atan2(y - p.y, x - p.x) - Math.atan2(d.start.y - p.y, d.start.x - p.x);
+      if (keyIsDown(SHIFT)) a = Math.round(a / (Math.PI / 12)) * (Math.PI / 12);
+      transformSelection(keepInBox(Select.rotateAbout(p.x, p.y, a)));
+      break;
+    }
+  }
+}
+
+// Scale factor (sign kept) shrunk so both ends of [v0, v1] scaled about anchor stay within [lo, hi]
+function fitScale(s, anchor, v0, v1, lo, hi) {
+  const dir = Math.sign(s || 1);
+  let k = Math.abs(s);
+  for (const v of [v0, v1]) {
+    const off = (v - anchor) * dir;
+    if (off > 0) k = Math.min(k, (hi - anchor) / off);
+    if (off < 0) k = Math.min(k, (anchor - lo) / -off);
+  }
+  return dir * Math.max(0, k);
+}
+
+// Shift a transform so the drag's starting points land inside the box (as Move clamps its offset)
+function keepInBox(m) {
   let minx = Infinity, miny = Infinity, maxx = -Infinity, maxy = -Infinity;
-  for (const p of points) { minx = Math.min(minx, p.x); miny = Math.min(miny, p.y); maxx = Math.max(maxx, p.x); maxy = Math.max(maxy, p.y); }
-  return { minx, miny, maxx, maxy, w: maxx - minx, h: maxy - miny };
+  for (const { points } of selDrag.snap) {
+    for (const p of points) {
+      const q = Select.applyToPoint(m, p.x, p.y);
+      minx = Math.min(minx, q.x); miny = Math.min(miny, q.y);
+      maxx = Math.max(maxx, q.x); maxy = Math.max(maxy, q.y);
+    }
+  }
+  if (!isFinite(minx)) return m;
+  const dx = constrain(0, BOX.x - minx, BOX.x + BOX.w - maxx);
+  const dy = constrain(0, BOX.y - miny, BOX.y + BOX.h - maxy);
+  return { ...m, e: m.e + dx, f: m.f + dy };
 }
-function translateStrokeClamped(s, dx, dy, box) {
-  if (!dx && !dy) return;
-  const b = boundsOf(s.points);
-  if (b.minx + dx < box.x) dx = box.x - b.minx;
-  if (b.maxx + dx > box.x + box.w) dx = box.x + box.w - b.maxx;
-  if (b.miny + dy < box.y) dy = box.y - b.miny;
-  if (b.maxy + dy > box.y + box.h) dy = box.y + box.h - b.maxy;
-  for (const p of s.points) { p.x += dx; p.y += dy; }
+
+// Apply a matrix to the drag's starting points; a custom pivot travels with moves and scales
+// Linked siblings outside the selection follow along
+function transformSelection(m) {
+  Select.applyMatrix(selDrag.snap, m);
+  Symmetry.propagate(strokes, selection);
+  selDrag.matrix = m;
+  if (selDrag.customPivot && selDrag.kind !== 'rotate') selPivot = Select.applyToPoint(m, selDrag.pivot.x, selDrag.pivot.y);
+}
+
+function selectReleased() {
+  const d = selDrag;
+  selDrag = null;
+  if (!d) return;
+  if (d.kind === 'marquee' || d.kind === 'lasso') {
+    const pickable = strokes.filter(s => Layers.isEditable(s.layer));
+    let picked = d.kind === 'marquee' ? Select.inRect(pickable, d.start, d.end) : Select.inLasso(pickable, d.lasso);
+    picked = Select.expandGroups(pickable, picked);
+    setSelection(d.add ? selection.concat(picked.filter(s => !selection.includes(s))) : picked);
+    return;
+  }
+  const labels = { move: 'Move', scale: 'Scale', rotate: 'Rotate' };
+  if (!labels[d.kind]) return;
+  if (d.matrix) Symmetry.relink(strokes, selection, d.matrix);
+  Undo.commitEdit(labels[d.kind], d.edit);
+}
+
+// One-shot transform of the whole selection (flip, nudge), recorded for undo
+function applyToSelection(label, m) {
+  pruneSelection();
+  if (!selection.length) return;
+  const edit = Undo.beginEdit(Symmetry.linkedWith(strokes, selection));
+  Select.applyMatrix(Select.snapshot(selection), m);
+  Symmetry.propagate(strokes, selection);
+  Symmetry.relink(strokes, selection, m);
+  if (selPivot) selPivot = Select.applyToPoint(m, selPivot.x, selPivot.y);
+  Undo.commitEdit(label, edit);
+}
+function flipSelection(horizontal) {
+  pruneSelection();
+  const p = selectionPivot(Select.bounds(selection));
+  if (!p) return;
+  applyToSelection(horizontal ? 'Flip horizontal' : 'Flip vertical', Select.scaleAbout(p.x, p.y, horizontal ? -1 : 1, horizontal ? 1 : -1));
+}
+function nudgeSelection(dx, dy) {
+  const b = Select.bounds(selection);
+  if (!b) return;
+  dx = constrain(dx, BOX.x - b.minx, BOX.x + BOX.w - b.maxx);
+  dy = constrain(dy, BOX.y - b.miny, BOX.y + BOX.h - b.maxy);
+  applyToSelection('Nudge', Select.translate(dx, dy));
+}
+
+// Grouped strokes are always selected together
+function groupSelection() {
+  pruneSelection();
+  if (selection.length < 2) return;
+  const edit = Undo.beginEdit(selection);
+  const id = Select.newGroupId();
+  for (const s of selection) s.group = id;
+  Undo.commitEdit('Group', edit);
+}
+// Break the symmetry link of the selected strokes so they can be edited on their own
+function unlinkSelection() {
+  pruneSelection();
+  const linked = selection.filter(s => s.link);
+  if (!linked.length) return;
+  const edit = Undo.beginEdit(linked);
+  Symmetry.unlink(linked);
+  Undo.commitEdit('Unlink', edit);
+}
+// Copy the selected strokes through the current symmetry mode. Kept originals stay as they are; replaced ones
+// give way to a linked copy in their place. Grouped strokes are copied as groups (one new group per copy)
+function symmetrizeSelection() {
+  pruneSelection();
+  if (!selection.length) return;
+  const replace = replaceOrigCheck.checked();
+  const sources = strokes.filter(s => selection.includes(s));
+  const copies = Symmetry.symmetrize(sources, BOX, replace);
+  if (!copies.some(c => c.length)) return;
+
+  // A kept original joins its copies' link as the untransformed instance, so edits flow both ways
+  const kept = replace ? [] : sources.filter((_, i) => copies[i].length);
+  const linksBefore = kept.map(s => s.link);
+  for (const s of kept) s.link = { id: copies[sources.indexOf(s)][0].link.id, m: { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 } };
+  const linksAfter = kept.map(s => s.link);
+
+  const groupIds = new Map();
+  const added = [];
+  const next = [];
+  for (const s of strokes) {
+    const i = sources.indexOf(s);
+    if (i < 0) { next.push(s); continue; }
+    if (!replace) next.push(s);
+    copies[i].forEach((c, k) => {
+      if (!touchesBox(c)) return;
+      if (c.group != null) {
+        const key = `${c.group}:${k}`;
+        if (!groupIds.has(key)) groupIds.set(key, Select.newGroupId());
+        c.group = groupIds.get(key);
+      }
+      next.push(c);
+      added.push(c);
+    });
+  }
+  // The array swap and the originals' new links are undone together
+  const before = strokes;
+  strokes = next;
+  Undo.push({
+    label: 'Symmetrize',
+    undo: () => { strokes = before.slice(); kept.forEach((s, i) => { s.link = linksBefore[i]; }); },
+    redo: () => { strokes = next.slice(); kept.forEach((s, i) => { s.link = linksAfter[i]; }); },
+  });
+  setSelection(replace ? added : sources.concat(added));
+}
+function ungroupSelection() {
+  pruneSelection();
+  const grouped = selection.filter(s => s.group != null);
+  if (!grouped.length) return;
+  const edit = Undo.beginEdit(grouped);
+  for (const s of grouped) s.group = null;
+  Undo.commitEdit('Ungroup', edit);
+}
+
+function drawSelection() {
+  pruneSelection();
+  if (selection.length) {
+    const b = Select.bounds(selection);
+    Select.drawBox(b, selectionPivot(b));
+  }
+  if (selDrag?.kind === 'marquee') Select.drawPicker(selDrag.start, selDrag.end, null);
+  if (selDrag?.kind === 'lasso') Select.drawPicker(null, null, selDrag.lasso);
 }
-function drawStrokeBounds(s) { const b = boundsOf(s.points); noFill(); stroke('#22C55E'); strokeWeight(1.5); rect(b.minx, b.miny, b.w, b.h); }
 
 // Clamp helpers (shared by Erase/Vertex)
 function clampToBoxX(x) { return constrain(x, BOX.x, BOX.x + BOX.w); }
@@ -999,17 +2212,27 @@ function addArtStrokes(art, opts = {}) {
   const ox = target.x + (target.w - aw * scale) / 2;
   const oy = target.y + (target.h - ah * scale) / 2;
 
+  const added = [];
   for (const as of art.strokes) {
     const hex = as.color || '#000000';
     const { h, s, b } = hexToHSB(hex);
     const alpha = typeof as.opacity === 'number' ? as.opacity : 100;
     const thick = Math.max(1, Math.min(80, as.thickness || 4));
     const st = new Stroke(color(h, s, b, alpha), thick, alpha, !!as.eraser);
+    st.layer = Layers.activeId();
     for (const p of (as.points || [])) {
       const tx = ox + (p.x - minx) * scale;
       const ty = oy + (p.y - miny) * scale;
       st.add(tx, ty);
     }
-    if (st.points.length >= 2) strokes.push(st);
+    if (st.points.length >= 2) added.push(st);
   }
+  if (added.length) replaceStrokes('AI Art', strokes.concat(added));
+}
+
+// Swap in a new strokes array and record it for undo
+function replaceStrokes(label, next) {
+  const before = strokes;
+  strokes = next;
+  Undo.replace(label, before, next);
 }
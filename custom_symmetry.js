@@ -0,0 +1,373 @@
+/* custom_symmetry.js
+   - User-defined symmetries: a list of affine transforms (rotation, reflection, scale, shear, translation) taken
+       about the symmetry center; the untouched original is always the first copy
+   - Editor panel over the drawing box edits a draft that symmetry.js uses live ('custom' mode); drafts are saved
+       as named presets, which are kept in localStorage and listed in the symmetry dropdown ('preset:<name>')
+   - Presets can be exported to and imported from JSON files
+*/
+
+(function (root) {
+  const CustomSymmetry = {};
+
+  const STORAGE_KEY = 'patternIllustrator.symmetryPresets';
+  const MAX_TRANSFORMS = 64;
+  const PANEL_W = 300;
+
+  let BOX = { x: 0, y: 0, w: 0, h: 0 };
+  let onChange = null;     // presets list changed
+  let onSaved = null;      // a preset was saved (name)
+
+  let presets = [];
+  let draft = { name: 'My symmetry', transforms: [_blank(180)] };
+
+  // DOM nodes
+  let panel, nameInput, list, fileInput;
+
+  // Transforms
+  // Fields of one transform; missing or bad values fall back to the identity
+  function _clean(t = {}) {
+    const num = (v, d) => (Number.isFinite(Number(v)) ? Number(v) : d);
+    return {
+      rotate: num(t.rotate, 0),        // degrees
+      mirror: !!t.mirror,              // reflect across an axis through the center...
+      mirrorAngle: num(t.mirrorAngle, 90), // ...at this angle (degrees; 90 = vertical)
+      scale: num(t.scale, 1) || 1,
+      shear: num(t.shear, 0),          // x += shear * y
+      tx: num(t.tx, 0),                // px
+      ty: num(t.ty, 0),
+    };
+  }
+
+  function _blank(rotate = 0) { return _clean({ rotate }); }
+
+  // Affine matrix {a, b, c, d, e, f} of a transform about center (cx, cy):
+  // translate * rotate * shear * scale * mirror, applied to offsets from the center
+  CustomSymmetry.matrix = function matrix(t, cx, cy) {
+    t = _clean(t);
+    let a = 1, b = 0, c = 0, d = 1;
+    if (t.mirror) {
+      const m = 2 * t.mirrorAngle * Math.PI / 180;
+      a = Math.cos(m); b = Math.sin(m); c = Math.sin(m); d = -Math.cos(m);
+    }
+    a *= t.scale; b *= t.scale; c *= t.scale; d *= t.scale;
+    // shear (x += k*y) after the scale
+    a += t.shear * b; c += t.shear * d;
+    const r = t.rotate * Math.PI / 180, cr = Math.cos(r), sr = Math.sin(r);
+    [a, b, c, d] = [cr * a - sr * b, sr * a + cr * b, cr * c - sr * d, sr * c + cr * d];
+    return { a, b, c, d, e: cx + t.tx - (a * cx + c * cy), f: cy + t.ty - (b * cx + d * cy) };
+  };
+
+  // Identity first, then one matrix per transform
+  CustomSymmetry.matrices = function matrices(transforms, cx, cy) {
+    const out = [{ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }];
+    for (const t of (transforms || []).slice(0, MAX_TRANSFORMS)) out.push(CustomSymmetry.matrix(t, cx, cy));
+    return out;
+  };
+
+  // Presets
+  CustomSymmetry.init = function init({ box, onChange: changed, onSaved: saved } = {}) {
+    BOX = box || BOX;
+    onChange = typeof changed === 'function' ? changed : null;
+    onSaved = typeof saved === 'function' ? saved : null;
+    presets = _load();
+    _ensurePanel();
+    CustomSymmetry.reposition({ box: BOX });
+    _renderPanel();
+  };
+
+  CustomSymmetry.presets = () => presets;
+  CustomSymmetry.get = (name) => presets.find(p => p.name === name) || null;
+  CustomSymmetry.draft = () => draft;
+
+  // Start editing a preset (or keep the current draft)
+  CustomSymmetry.edit = function edit(name) {
+    const p = CustomSymmetry.get(name);
+    if (p) draft = { name: p.name, transforms: p.transforms.map(_clean) };
+    _renderPanel();
+  };
+
+  CustomSymmetry.save = function save() {
+    const name = String(draft.name || '').trim();
+    if (!name) { alert('Give the preset a name first.'); return; }
+    const existing = presets.findIndex(p => p.name === name);
+    if (existing >= 0 && !confirm(`Replace the preset "${name}"?`)) return;
+    const preset = { name, transforms: draft.transforms.map(_clean) };
+    if (existing >= 0) presets[existing] = preset; else presets.push(preset);
+    _store();
+    if (onChange) onChange();
+    if (onSaved) onSaved(name);
+  };
+
+  CustomSymmetry.remove = function remove(name) {
+    const i = presets.findIndex(p => p.name === name);
+    if (i < 0) return;
+    presets.splice(i, 1);
+    _store();
+    if (onChange) onChange();
+  };
+
+  // JSON: { presets: [{ name, transforms: [...] }] }
+  CustomSymmetry.exportJSON = function exportJSON() {
+    return JSON.stringify({ presets }, null, 2);
+  };
+
+  // Accepts the exported form, a bare list of presets, or a single preset; returns how many were added or replaced
+  CustomSymmetry.importJSON = function importJSON(text) {
+    const data = JSON.parse(text);
+    const items = Array.isArray(data) ? data : (Array.isArray(data?.presets) ? data.presets : [data]);
+    let count = 0;
+    for (const item of items) {
+      const name = String(item?.name || '').trim();
+      if (!name || !Array.isArray(item.transforms)) continue;
+      const preset = { name, transforms: item.transforms.slice(0, MAX_TRANSFORMS).map(_clean) };
+      const i = presets.findIndex(p => p.name === name);
+      if (i >= 0) presets[i] = preset; else presets.push(preset);
+      count++;
+    }
+    if (count) {
+      _store();
+      if (onChange) onChange();
+    }
+    return count;
+  };
+
+  function _load() {
+    try {
+      const data = JSON.parse(root.localStorage?.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(data) ? data.filter(p => p?.name && Array.isArray(p.transforms))
+        .map(p => ({ name: String(p.name), transforms: p.transforms.map(_clean) })) : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  function _store() {
+    try { root.localStorage?.setItem(STORAGE_KEY, JSON.stringify(presets)); } catch (_) { /* storage full or disabled */ }
+  }
+
+  // Preview: an asymmetric "F" glyph carried through every matrix, so rotations, mirrors, and shears are visible
+  CustomSymmetry.drawPreview = function drawPreview(matrices, cx, cy) {
+    const F = [[[-8, 14], [-8, -14], [8, -14]], [[-8, 0], [4, 0]]];
+    push();
+    noFill(); strokeWeight(2);
+    matrices.forEach((m, i) => {
+      stroke(i === 0 ? '#F97316' : '#6366F1');
+      for (const part of F) {
+        beginShape();
+        for (const [dx, dy] of part) {
+          const x = cx + 40 + dx, y = cy - 40 + dy;
+          vertex(m.a * x + m.c * y + m.e, m.b * x + m.d * y + m.f);
+        }
+        endShape();
+      }
+    });
+    pop();
+  };
+
+  // Panel
+  CustomSymmetry.reposition = function reposition({ box } = {}) {
+    if (box) BOX = box;
+    if (!panel) return;
+    panel.style.left = `${BOX.x + 12}px`;
+    panel.style.top = `${BOX.y + 12}px`;
+    panel.style.width = `${PANEL_W}px`;
+    panel.style.maxHeight = `${Math.max(200, BOX.h - 24)}px`;
+  };
+
+  CustomSymmetry.show = function show(visible) {
+    if (!panel) return;
+    panel.style.display = visible ? 'block' : 'none';
+    if (visible) _renderPanel();
+  };
+
+  function _ensurePanel() {
+    if (panel) return;
+
+    panel = document.createElement('div');
+    panel.id = 'customSymmetryPanel';
+    panel.style.position = 'absolute';
+    panel.style.display = 'none';
+    panel.style.background = '#fff';
+    panel.style.border = '1px solid #ddd';
+    panel.style.borderRadius = '10px';
+    panel.style.boxShadow = '0 4px 16px rgba(0,0,0,0.08)';
+    panel.style.fontFamily = 'cursive';
+    panel.style.fontSize = '12px';
+    panel.style.userSelect = 'none';
+    panel.style.overflowY = 'auto';
+    panel.style.zIndex = '11';
+    // The panel sits over the drawing box: keep its clicks from reaching the canvas handlers (p5 listens on window)
+    for (const type of ['mousedown', 'mouseup', 'dblclick', 'touchstart', 'touchend']) {
+      panel.addEventListener(type, (e) => e.stopPropagation());
+    }
+
+    const header = document.createElement('div');
+    header.style.padding = '8px 12px';
+    header.style.background = '#f8f8fb';
+    header.style.borderBottom = '1px solid #eee';
+    header.innerHTML = '<b style="font-size:13px;color:#111">Custom symmetry</b>';
+
+    const body = document.createElement('div');
+    body.style.padding = '8px 12px';
+
+    nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = 'Preset name';
+    nameInput.style.width = '100%';
+    nameInput.style.boxSizing = 'border-box';
+    nameInput.style.fontFamily = 'cursive';
+    nameInput.style.marginBottom = '6px';
+    nameInput.addEventListener('input', () => { draft.name = nameInput.value; });
+
+    const hint = document.createElement('div');
+    hint.textContent = 'Each row adds a copy, taken about the center; the orange F is the original.';
+    hint.style.fontSize = '11px';
+    hint.style.color = '#666';
+    hint.style.marginBottom = '6px';
+
+    list = document.createElement('div');
+
+    const addBtn = _button('+ Transform', () => {
+      if (draft.transforms.length >= MAX_TRANSFORMS) return;
+      draft.transforms.push(_blank(90));
+      _renderPanel();
+    });
+
+    const actions = document.createElement('div');
+    actions.style.display = 'flex';
+    actions.style.flexWrap = 'wrap';
+    actions.style.gap = '6px';
+    actions.style.marginTop = '8px';
+
+    const saveBtn = _button('Save preset', () => CustomSymmetry.save());
+    saveBtn.style.background = '#6366F1';
+    saveBtn.style.color = '#fff';
+
+    const exportBtn = _button('Export JSON', () => {
+      const blob = new Blob([CustomSymmetry.exportJSON()], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'symmetry_presets.json';
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    });
+
+    fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          const n = CustomSymmetry.importJSON(String(reader.result || ''));
+          alert(n ? `Imported ${n} preset${n === 1 ? '' : 's'}.` : 'No presets found in that file.');
+        } catch (e) {
+          alert('That file is not valid preset JSON.');
+        }
+        fileInput.value = '';
+      };
+      reader.readAsText(file);
+    });
+    const importBtn = _button('Import JSON', () => fileInput.click());
+
+    actions.appendChild(saveBtn);
+    actions.appendChild(exportBtn);
+    actions.appendChild(importBtn);
+
+    body.appendChild(nameInput);
+    body.appendChild(hint);
+    body.appendChild(list);
+    body.appendChild(addBtn);
+    body.appendChild(actions);
+    panel.appendChild(header);
+    panel.appendChild(body);
+    panel.appendChild(fileInput);
+    document.body.appendChild(panel);
+  }
+
+  function _renderPanel() {
+    if (!list) return;
+    nameInput.value = draft.name;
+    list.innerHTML = '';
+
+    draft.transforms.forEach((t, i) => {
+      const row = document.createElement('div');
+      row.style.border = '1px solid #eee';
+      row.style.borderRadius = '8px';
+      row.style.padding = '4px 6px';
+      row.style.marginBottom = '6px';
+      row.style.display = 'grid';
+      row.style.gridTemplateColumns = 'repeat(3, 1fr)';
+      row.style.gap = '2px 6px';
+
+      const field = (label, key, step) => {
+        const wrap = document.createElement('label');
+        wrap.style.display = 'flex';
+        wrap.style.alignItems = 'center';
+        wrap.style.gap = '3px';
+        wrap.style.color = '#374151';
+        wrap.textContent = label;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = String(step);
+        input.value = String(t[key]);
+        input.style.width = '48px';
+        input.addEventListener('input', () => {
+          if (input.value === '' || !Number.isFinite(Number(input.value))) return;
+          t[key] = Number(input.value);
+        });
+        wrap.appendChild(input);
+        return wrap;
+      };
+
+      const mirror = document.createElement('label');
+      mirror.style.display = 'flex';
+      mirror.style.alignItems = 'center';
+      mirror.style.gap = '3px';
+      mirror.style.color = '#374151';
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      check.checked = t.mirror;
+      check.addEventListener('change', () => { t.mirror = check.checked; });
+      mirror.appendChild(check);
+      mirror.appendChild(document.createTextNode('Mirror'));
+
+      const del = _button('×', () => { draft.transforms.splice(i, 1); _renderPanel(); });
+      del.title = 'Remove transform';
+      del.style.color = '#EF4444';
+      del.style.justifySelf = 'end';
+
+      row.appendChild(field('Rot°', 'rotate', 1));
+      row.appendChild(field('Scale', 'scale', 0.05));
+      row.appendChild(field('Shear', 'shear', 0.05));
+      row.appendChild(mirror);
+      row.appendChild(field('Axis°', 'mirrorAngle', 1));
+      row.appendChild(del);
+      row.appendChild(field('dX', 'tx', 1));
+      row.appendChild(field('dY', 'ty', 1));
+      list.appendChild(row);
+    });
+  }
+
+  function _button(text, fn) {
+    const b = document.createElement('button');
+    b.textContent = text;
+    b.style.padding = '2px 8px';
+    b.style.border = '1px solid #aaa';
+    b.style.borderRadius = '8px';
+    b.style.background = '#fff';
+    b.style.fontFamily = 'cursive';
+    b.style.fontSize = '11px';
+    b.style.cursor = 'pointer';
+    b.addEventListener('click', fn);
+    return b;
+  }
+
+  root.CustomSymmetry = CustomSymmetry;
+})(window);
@@ -1,136 +1,404 @@
 /* erase.js
-   - Implements a vector eraser that repeatedly clips each polyline stroke against a moving circular brush
+   - Implements a vector eraser that clips polyline strokes against the capsule a circular brush sweeps along each drag step
+   - A uniform grid of stroke segments finds the strokes the brush can reach; the others are passed through untouched
+   - Region erasing clips every stroke against lasso or polygon outlines, removing what lies inside them or outside them
 */
 
 (function (root) {
   const Erase = {};
   let clampX = (x) => x;
   let clampY = (y) => y;
+  let canErase = () => true;
 
-  Erase.configure = ({ clampToBoxX, clampToBoxY } = {}) => {
+  Erase.configure = ({ clampToBoxX, clampToBoxY, canErase: can } = {}) => {
     if (typeof clampToBoxX === "function") clampX = clampToBoxX;
     if (typeof clampToBoxY === "function") clampY = clampToBoxY;
+    if (typeof can === "function") canErase = can;
   };
 
   Erase.radius = (slider) => Math.max(2, Number(slider?.value?.() ?? slider ?? 20));
 
+  const MIN_SEG = 0.5; // discard crumbs
+  const CELL = 48;     // spatial index cell size (px)
+
   // Erase at a single point
-  Erase.applyPoint = function (strokes, p, radius) {
+  // Untouched strokes are kept as-is; cut strokes become open pieces that keep the source style
+  Erase.applyPoint = function (strokes, p, radius, index = null) {
+    return Erase.applySegment(strokes, p, p, radius, index);
+  };
+
+  // Erase along a dragged segment: every stroke segment is clipped exactly against the capsule the brush sweeps
+  // from p0 to p1. Candidates come from a spatial index of stroke segments (pass the one from Erase.buildIndex to
+  // reuse it across a drag; it follows the cuts). Untouched strokes, and the array itself when nothing is cut,
+  // are returned as they were
+  Erase.applySegment = function (strokes, p0, p1, radius, index = null) {
     if (!Array.isArray(strokes) || !strokes.length) return strokes;
-    const cx = p.x, cy = p.y, r = radius;
-    const MIN_SEG = 0.5; // discard crumbs
+    const grid = index || Erase.buildIndex(strokes);
+    const r = radius;
+
+    // Live segments in the cells the capsule covers, by stroke
+    const near = new Map();
+    const add = (s, i) => {
+      let set = near.get(s);
+      if (!set) near.set(s, set = new Set());
+      set.add(i);
+    };
+    _forCells(Math.min(p0.x, p1.x) - r, Math.min(p0.y, p1.y) - r, Math.max(p0.x, p1.x) + r, Math.max(p0.y, p1.y) + r, (key) => {
+      const cell = grid.cells.get(key);
+      if (!cell) return;
+      for (let k = 0; k < cell.length; k += 2) _resolve(grid, cell[k], cell[k + 1], add);
+    });
+
+    const replaced = new Map();
+    for (const [s, segs] of near) {
+      const pts = s.points;
+      let cuts = null;
+      for (const i of segs) {
+        const span = _capsuleSpan(pts[i], pts[(i + 1) % pts.length], p0, p1, r);
+        if (span) (cuts || (cuts = new Map())).set(i, span);
+      }
+      if (!cuts) continue;
+      const pieces = _split(s, cuts);
+      grid.split.set(s, pieces);
+      replaced.set(s, pieces.map(pc => pc.stroke));
+    }
+
+    if (!replaced.size) return strokes;
+    const out = [];
+    for (const s of strokes) {
+      const pieces = replaced.get(s);
+      if (pieces) out.push(...pieces); else out.push(s);
+    }
+    return out;
+  };
+
+  // Uniform grid of stroke segments: cell key -> flat [stroke, segment index, ...] list (strokes that can't be
+  // erased are left out). Cut strokes stay listed under their original segments; split records where those went
+  Erase.buildIndex = function (strokes) {
+    const grid = { cells: new Map(), split: new Map() };
+    for (const s of strokes || []) {
+      if (!s?.points || s.points.length < 2 || s.eraser || !canErase(s)) continue;
+      const pts = s.points;
+      const segCount = (!!s.closed && pts.length >= 3) ? pts.length : pts.length - 1;
+      for (let i = 0; i < segCount; i++) {
+        const a = pts[i], b = pts[(i + 1) % pts.length];
+        _forCells(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.max(a.x, b.x), Math.max(a.y, b.y), (key) => {
+          let cell = grid.cells.get(key);
+          if (!cell) grid.cells.set(key, cell = []);
+          cell.push(s, i);
+        });
+      }
+    }
+    return grid;
+  };
+
+  // Erase inside a region made of one or more polygons (a point is in the region when it is inside any of them,
+  // even-odd within each), or everything outside it when outside is true
+  Erase.applyRegion = function (strokes, polygons, { outside = false } = {}) {
+    if (!Array.isArray(strokes) || !strokes.length) return strokes;
+    const polys = (polygons || []).filter(poly => poly && poly.length >= 3);
+    if (!polys.length) return strokes;
+    const box = _polyBounds(polys);
     const newStrokes = [];
 
     for (const s of strokes) {
-      if (!s?.points || s.points.length < 2 || s.eraser) {
+      if (!s?.points || s.points.length < 2 || s.eraser || !canErase(s)) {
         if (s?.points?.length >= 2) newStrokes.push(s);
         continue;
       }
 
       const pts = s.points;
-      let run = [];
-      const flushRun = () => {
-        if (run.length >= 2) {
-          const filtered = [run[0]];
-          for (let i = 1; i < run.length; i++) {
-            const a = filtered[filtered.length - 1];
-            const b = run[i];
-            if (dist(a.x, a.y, b.x, b.y) >= MIN_SEG) filtered.push(b);
-          }
-          if (filtered.length >= 2) {
-            const ns = new Stroke(s.col, s.thickness, s.opacity, false);
-            for (const q of filtered) ns.add(q.x, q.y);
-            newStrokes.push(ns);
-          }
-        }
-        run = [];
-      };
+      const closed = !!s.closed && pts.length >= 3;
+      const segCount = closed ? pts.length : pts.length - 1;
 
-      for (let i = 0; i < pts.length - 1; i++) {
-        const a = pts[i], b = pts[i + 1];
+      // Keep the pieces on the surviving side; a stroke with every segment whole is untouched
+      const kept = [];
+      let whole = true;
+      for (let i = 0; i < segCount; i++) {
+        const pieces = _clipSegmentToRegion(pts[i], pts[(i + 1) % pts.length], polys, box, outside);
+        if (pieces.length !== 1 || pieces[0][0].t > 0 || pieces[0][1].t < 1) whole = false;
+        kept.push(pieces);
+      }
+      if (whole) { newStrokes.push(s); continue; }
+      newStrokes.push(..._rebuild(s, kept));
+    }
 
-        // pieces that lie OUTSIDE circle
-        const pieces = _clipSegmentOutsideCircle(a, b, { x: cx, y: cy }, r);
+    return newStrokes;
+  };
 
-        if (!pieces.length) {
-          // fully erased
-          flushRun();
-          continue;
-        }
+  // Join the kept pieces of each segment into open strokes that keep the source style (region erasing)
+  // (kept[i] lists the [p0, p1] pieces of segment i, each end carrying its width and its t along the segment)
+  function _rebuild(s, kept) {
+    const pts = s.points;
+    const closed = !!s.closed && pts.length >= 3;
+    const segCount = kept.length;
 
-        for (const [p0, p1] of pieces) {
-          const A = { x: clampX(p0.x), y: clampY(p0.y) };
-          const B = { x: clampX(p1.x), y: clampY(p1.y) };
-          if (dist(A.x, A.y, B.x, B.y) < MIN_SEG) continue;
+    // Arc length at each vertex so gradient pieces keep their part of the gradient
+    const L = [0];
+    for (let i = 0; i < segCount; i++) {
+      const a = pts[i], b = pts[(i + 1) % pts.length];
+      L.push(L[i] + dist(a.x, a.y, b.x, b.y));
+    }
+    const total = L[segCount] || 1;
+
+    const runs = [];
+    let run = [];
+    const flushRun = () => {
+      if (run.length >= 2) runs.push(run);
+      run = [];
+    };
+
+    for (let i = 0; i < segCount; i++) {
+      const pieces = kept[i];
+
+      if (!pieces.length) {
+        // fully erased
+        flushRun();
+        continue;
+      }
 
-          if (run.length === 0) {
+      const segLen = L[i + 1] - L[i];
+      for (const [p0, p1] of pieces) {
+        const A = { x: clampX(p0.x), y: clampY(p0.y), w: p0.w, d: L[i] + p0.t * segLen };
+        const B = { x: clampX(p1.x), y: clampY(p1.y), w: p1.w, d: L[i] + p1.t * segLen };
+        if (dist(A.x, A.y, B.x, B.y) < MIN_SEG) continue;
+
+        if (run.length === 0) {
+          run.push(A, B);
+        } else {
+          const last = run[run.length - 1];
+          if (dist(last.x, last.y, A.x, A.y) > 1e-6) {
+            // gap -> close previous polyline
+            flushRun();
             run.push(A, B);
           } else {
-            const last = run[run.length - 1];
-            if (dist(last.x, last.y, A.x, A.y) > 1e-6) {
-              // gap -> close previous polyline
-              flushRun();
-              run.push(A, B);
-            } else {
-              // contiguous -> extend
-              run.push(B);
-            }
+            // contiguous -> extend
+            run.push(B);
           }
         }
       }
-      flushRun();
     }
+    flushRun();
 
-    return newStrokes;
-  };
-
-  // erase along a dragged segment (returns new strokes array)
-  Erase.applySegment = function (strokes, p0, p1, radius) {
-    const L = dist(p0.x, p0.y, p1.x, p1.y);
-    if (L === 0) return Erase.applyPoint(strokes, p1, radius);
-    const step = Math.max(2, radius * 0.5);
-    const n = Math.max(1, Math.floor(L / step));
+    // A closed loop cut once: the last run continues into the first one
+    if (closed && runs.length >= 2) {
+      const last = runs[runs.length - 1], first = runs[0];
+      const e = last[last.length - 1], b0 = first[0];
+      if (dist(e.x, e.y, b0.x, b0.y) <= 1e-6) {
+        runs[0] = last.concat(first.slice(1));
+        runs.pop();
+      }
+    }
 
-    let out = strokes;
-    for (let i = 0; i <= n; i++) {
-      const t = i / n;
-      const x = lerp(p0.x, p1.x, t);
-      const y = lerp(p0.y, p1.y, t);
-      out = Erase.applyPoint(out, { x, y }, radius);
+    const out = [];
+    for (const rn of runs) {
+      const filtered = [rn[0]];
+      for (let i = 1; i < rn.length; i++) {
+        const a = filtered[filtered.length - 1];
+        const b = rn[i];
+        if (dist(a.x, a.y, b.x, b.y) >= MIN_SEG) filtered.push(b);
+      }
+      if (filtered.length >= 2) {
+        const ns = s.cloneStyle();
+        ns.eraser = false;
+        ns.closed = false;
+        ns.link = null; // a cut piece no longer matches its symmetry siblings
+        if (Stroke.hasGradient(s)) ns.stops = _pieceStops(s.stops, rn[0].d / total, rn[rn.length - 1].d / total);
+        for (const q of filtered) ns.add(q.x, q.y, q.w ?? 1);
+        out.push(ns);
+      }
     }
     return out;
-  };
+  }
 
-  // precise circle–segment clipping
-  function _clipSegmentOutsideCircle(a, b, c, r) {
-    const EPS = 1e-9;
-    const ax = a.x, ay = a.y;
-    const bx = b.x, by = b.y;
-    const cx = c.x, cy = c.y;
+  // Spatial index helpers
+  // (cell coordinates packed into one number)
+  function _cellKey(cx, cy) { return (cx + 32768) * 65536 + (cy + 32768); }
 
-    const dx = bx - ax, dy = by - ay;
-    const fx = ax - cx, fy = ay - cy;
+  function _forCells(minx, miny, maxx, maxy, fn) {
+    const x0 = Math.floor(minx / CELL), x1 = Math.floor(maxx / CELL);
+    const y0 = Math.floor(miny / CELL), y1 = Math.floor(maxy / CELL);
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cy = y0; cy <= y1; cy++) fn(_cellKey(cx, cy));
+    }
+  }
 
-    const A = dx * dx + dy * dy;
-    if (A < EPS) return []; 
+  // Follow a segment through the cuts made since the index was built to the live piece(s) holding it
+  // (a segment cut in its middle lives on in two pieces)
+  function _resolve(grid, s, i, fn) {
+    const pieces = grid.split.get(s);
+    if (!pieces) { fn(s, i); return; }
+    for (const pc of pieces) {
+      if (pc.wrap) {
+        if (i >= pc.from) _resolve(grid, pc.stroke, pc.seg[i - pc.from], fn);
+        if (i <= pc.to) _resolve(grid, pc.stroke, pc.seg[i + pc.wrap - pc.from], fn);
+      } else if (i >= pc.from && i <= pc.to) {
+        _resolve(grid, pc.stroke, pc.seg[i - pc.from], fn);
+      }
+    }
+  }
 
-    const B = 2 * (dx * fx + dy * fy);
-    const C = fx * fx + fy * fy - r * r;
+  // Capsule clipping: the part of segment a-b within r of segment p0-p1, as [t0, t1] along a-b (null if none)
+  // The capsule is convex, so the part is one interval: the hull of the segment's intervals through the two end
+  // discs and the band between them
+  function _capsuleSpan(a, b, p0, p1, r) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    let lo = Infinity, hi = -Infinity;
+    const take = (span) => { if (span) { lo = Math.min(lo, span[0]); hi = Math.max(hi, span[1]); } };
 
-    let ts = [0, 1];
+    take(_discSpan(a, dx, dy, p0, r));
+    const ux = p1.x - p0.x, uy = p1.y - p0.y, len = Math.hypot(ux, uy);
+    if (len > 1e-9) {
+      take(_discSpan(a, dx, dy, p1, r));
+      // Band: 0 <= along <= len and |across| <= r, each linear in t
+      const nx = ux / len, ny = uy / len;
+      const along0 = (a.x - p0.x) * nx + (a.y - p0.y) * ny, alongD = dx * nx + dy * ny;
+      const across0 = (a.x - p0.x) * -ny + (a.y - p0.y) * nx, acrossD = dx * -ny + dy * nx;
+      const band = _intersect(_linearSpan(along0, alongD, 0, len), _linearSpan(across0, acrossD, -r, r));
+      take(band);
+    }
+    if (lo > hi) return null;
+    lo = Math.max(0, lo); hi = Math.min(1, hi);
+    return lo <= hi ? [lo, hi] : null;
+  }
 
+  // t where |a + t*d - c| <= r
+  function _discSpan(a, dx, dy, c, r) {
+    const fx = a.x - c.x, fy = a.y - c.y;
+    const A = dx * dx + dy * dy, B = 2 * (dx * fx + dy * fy), C = fx * fx + fy * fy - r * r;
+    if (A < 1e-12) return C <= 0 ? [-Infinity, Infinity] : null;
     const disc = B * B - 4 * A * C;
-    if (disc >= 0) {
-      const sqrtD = Math.sqrt(disc);
-      const t1 = (-B - sqrtD) / (2 * A);
-      const t2 = (-B + sqrtD) / (2 * A);
-      if (t1 > -EPS && t1 < 1 + EPS) ts.push(_clamp01(t1));
-      if (t2 > -EPS && t2 < 1 + EPS) ts.push(_clamp01(t2));
+    if (disc < 0) return null;
+    const q = Math.sqrt(disc);
+    return [(-B - q) / (2 * A), (-B + q) / (2 * A)];
+  }
+
+  // t where min <= v0 + t*dv <= max
+  function _linearSpan(v0, dv, min, max) {
+    if (Math.abs(dv) < 1e-12) return (v0 >= min && v0 <= max) ? [-Infinity, Infinity] : null;
+    const t0 = (min - v0) / dv, t1 = (max - v0) / dv;
+    return [Math.min(t0, t1), Math.max(t0, t1)];
+  }
+
+  function _intersect(u, v) {
+    if (!u || !v) return null;
+    const lo = Math.max(u[0], v[0]), hi = Math.min(u[1], v[1]);
+    return lo <= hi ? [lo, hi] : null;
+  }
+
+  // Cut a stroke at its erased spans (segment index -> [t0, t1]) into open pieces that keep the source style.
+  // Each piece is { stroke, from, to, wrap, seg }: it covers the original segments from + k, counted on around the
+  // loop (wrap = segment count) for a closed stroke's piece that runs past the start, and seg[k] is the piece segment
+  // that one ended up in (points closer than MIN_SEG are dropped, as in _rebuild)
+  function _split(s, cuts) {
+    const EPS = 1e-9;
+    const pts = s.points;
+    const closed = !!s.closed && pts.length >= 3;
+    const segCount = closed ? pts.length : pts.length - 1;
+    const copy = (p) => ({ x: p.x, y: p.y, w: p.w ?? 1 });
+    const at = (i, t) => {
+      const a = pts[i], b = pts[(i + 1) % pts.length], aw = a.w ?? 1, bw = b.w ?? 1;
+      return { x: clampX(a.x + (b.x - a.x) * t), y: clampY(a.y + (b.y - a.y) * t), w: aw + (bw - aw) * t };
+    };
+
+    // Surviving runs, with the segments they span and where they start and end along the stroke (u = segment + t)
+    const runs = [];
+    let run = null;
+    for (let i = 0; i < segCount; i++) {
+      const next = pts[(i + 1) % pts.length];
+      const span = cuts.get(i);
+      if (!span) {
+        if (!run) run = { pts: [copy(pts[i])], from: i, u0: i };
+        run.pts.push(copy(next));
+        continue;
+      }
+      const [t0, t1] = span;
+      if (t0 > EPS) {
+        if (!run) run = { pts: [copy(pts[i])], from: i, u0: i };
+        run.pts.push(at(i, t0));
+        runs.push({ ...run, to: i, u1: i + t0 });
+      } else if (run) {
+        runs.push({ ...run, to: i - 1, u1: i });
+      }
+      run = (t1 < 1 - EPS) ? { pts: [at(i, t1), copy(next)], from: i, u0: i + t1 } : null;
+    }
+    if (run) runs.push({ ...run, to: segCount - 1, u1: segCount });
+
+    // A closed loop: the last run continues into the first one
+    if (closed && runs.length >= 2 && runs[0].u0 === 0 && runs[runs.length - 1].u1 === segCount) {
+      const first = runs.shift(), last = runs.pop();
+      runs.push({ pts: last.pts.concat(first.pts.slice(1)), from: last.from, to: first.to, wrap: segCount, u0: last.u0, u1: first.u1 });
+    }
+
+    // Arc length along the stroke, for the gradient slice each piece keeps
+    let along = null;
+    if (Stroke.hasGradient(s)) {
+      const L = [0];
+      for (let i = 0; i < segCount; i++) {
+        const a = pts[i], b = pts[(i + 1) % pts.length];
+        L.push(L[i] + dist(a.x, a.y, b.x, b.y));
+      }
+      const total = L[segCount] || 1;
+      along = (u) => {
+        const i = Math.min(segCount - 1, Math.floor(u));
+        return (L[i] + (u - i) * (L[i + 1] - L[i])) / total;
+      };
+    }
+
+    const out = [];
+    for (const rn of runs) {
+      // Drop points closer than MIN_SEG to the last kept one; their segments fold into the next kept segment
+      const kept = [rn.pts[0]];
+      const seg = new Int32Array(rn.pts.length - 1);
+      let pending = 0;
+      for (let j = 1; j < rn.pts.length; j++) {
+        const a = kept[kept.length - 1], b = rn.pts[j];
+        if (dist(a.x, a.y, b.x, b.y) < MIN_SEG) continue;
+        seg.fill(kept.length - 1, pending, j);
+        pending = j;
+        kept.push(b);
+      }
+      if (kept.length < 2) continue; // discard crumbs
+      seg.fill(kept.length - 2, pending);
+      const ns = s.cloneStyle();
+      ns.eraser = false;
+      ns.closed = false;
+      ns.link = null; // a cut piece no longer matches its symmetry siblings
+      if (along) ns.stops = _pieceStops(s.stops, along(rn.u0), along(rn.u1));
+      ns.points = kept;
+      out.push({ stroke: ns, from: rn.from, to: rn.to, wrap: rn.wrap || 0, seg });
     }
+    return out;
+  }
 
-    ts = ts
-      .sort((u, v) => u - v)
-      .filter((v, i, arr) => i === 0 || Math.abs(v - arr[i - 1]) > 1e-6);
+  // Segment–region clipping: split at every polygon edge crossing, then keep the intervals whose midpoint is
+  // outside the region (or inside it, when erasing outside)
+  function _clipSegmentToRegion(a, b, polys, box, outside) {
+    const EPS = 1e-9;
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const aw = a.w ?? 1, bw = b.w ?? 1;
+    if (dx * dx + dy * dy < EPS) return [];
+
+    // A segment clear of the region's bounds is wholly outside it
+    const clear = Math.max(a.x, b.x) < box.minx || Math.min(a.x, b.x) > box.maxx ||
+      Math.max(a.y, b.y) < box.miny || Math.min(a.y, b.y) > box.maxy;
+    let ts = [0, 1];
+    if (!clear) {
+      for (const poly of polys) {
+        for (let i = 0; i < poly.length; i++) {
+          const c = poly[i], d = poly[(i + 1) % poly.length];
+          const ex = d.x - c.x, ey = d.y - c.y;
+          const den = dx * ey - dy * ex;
+          if (Math.abs(den) < EPS) continue;
+          const t = ((c.x - a.x) * ey - (c.y - a.y) * ex) / den;
+          const u = ((c.x - a.x) * dy - (c.y - a.y) * dx) / den;
+          if (t > -EPS && t < 1 + EPS && u > -EPS && u < 1 + EPS) ts.push(_clamp01(t));
+        }
+      }
+      ts = ts
+        .sort((u, v) => u - v)
+        .filter((v, i, arr) => i === 0 || Math.abs(v - arr[i - 1]) > 1e-6);
+    }
 
     const pieces = [];
     for (let i = 0; i < ts.length - 1; i++) {
@@ -138,19 +406,47 @@
       if (t1 - t0 <= EPS) continue;
 
       const tm = (t0 + t1) * 0.5;
-      const mx = ax + dx * tm, my = ay + dy * tm;
-      const outside = (mx - cx) * (mx - cx) + (my - cy) * (my - cy) > r * r;
-
-      if (outside) {
-        const p0 = { x: ax + dx * t0, y: ay + dy * t0 };
-        const p1 = { x: ax + dx * t1, y: ay + dy * t1 };
+      const inside = !clear && polys.some(poly => _inPolygon(poly, a.x + dx * tm, a.y + dy * tm));
+      if (inside === outside) {
+        const p0 = { x: a.x + dx * t0, y: a.y + dy * t0, w: aw + (bw - aw) * t0, t: t0 };
+        const p1 = { x: a.x + dx * t1, y: a.y + dy * t1, w: aw + (bw - aw) * t1, t: t1 };
         pieces.push([p0, p1]);
       }
     }
     return pieces;
   }
 
+  // even-odd point in polygon
+  function _inPolygon(poly, x, y) {
+    let inside = false;
+    for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+      const a = poly[i], b = poly[j];
+      if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+  }
+
+  function _polyBounds(polys) {
+    let minx = Infinity, miny = Infinity, maxx = -Infinity, maxy = -Infinity;
+    for (const poly of polys) {
+      for (const p of poly) {
+        minx = Math.min(minx, p.x); miny = Math.min(miny, p.y);
+        maxx = Math.max(maxx, p.x); maxy = Math.max(maxy, p.y);
+      }
+    }
+    return { minx, miny, maxx, maxy };
+  }
+
   function _clamp01(t) { return Math.max(0, Math.min(1, t)); }
 
+  // Gradient stops for a piece spanning arc fractions u0..u1 (u1 < u0 when it wraps past a closed stroke's start)
+  function _pieceStops(stops, u0, u1) {
+    if (u1 >= u0) return Stroke.sliceStops(stops, u0, u1);
+    const a = (1 - u0) / ((1 - u0) + u1 || 1e-9);
+    const head = Stroke.sliceStops(stops, u0, 1).map(st => ({ ...st, t: st.t * a }));
+    const tail = Stroke.sliceStops(stops, 0, u1).map(st => ({ ...st, t: a + st.t * (1 - a) }));
+    return head.concat(tail.slice(1));
+  }
+
   root.Erase = Erase;
 })(window);
@@ -0,0 +1,334 @@
+/* layers.js
+   - Layer list (bottom -> top) with name, visibility, lock, and opacity; strokes refer to a layer by id
+   - Panel UI to the right of the drawing box: add, rename (double-click), reorder, hide, lock, and set opacity
+   - Snapshots of the list are stored with frames and recorded for undo
+   - Translucent layers are composited from an offscreen buffer so layer opacity applies to the layer as a whole
+*/
+
+(function (root) {
+  const Layers = {};
+
+  const PANEL_W = 190;
+  const PANEL_GAP = 12;
+
+  let BOX = { x: 0, y: 0, w: 0, h: 0 };
+  let onChange = null;
+
+  // Internal state
+  let layers = [];
+  let activeId = null;
+  let nextId = 1;
+
+  // DOM nodes
+  let panel, list;
+
+  // Layers
+  Layers.init = function init({ box, onChange: cb } = {}) {
+    BOX = box || BOX;
+    onChange = typeof cb === 'function' ? cb : null;
+    if (!layers.length) Layers.restore(null);
+    _ensurePanel();
+    Layers.reposition({ box: BOX });
+    _renderPanel();
+  };
+
+  Layers.reposition = function reposition({ box } = {}) {
+    if (box) BOX = box;
+    if (!panel) return;
+    panel.style.left = `${BOX.x + BOX.w + PANEL_GAP}px`;
+    panel.style.top = `${BOX.y}px`;
+    panel.style.width = `${PANEL_W}px`;
+    panel.style.maxHeight = `${BOX.h}px`;
+  };
+
+  // Horizontal space the panel needs to the right of the box
+  Layers.panelWidth = () => PANEL_W + PANEL_GAP;
+
+  Layers.list = () => layers;
+  Layers.activeId = () => activeId;
+  Layers.active = () => Layers.get(activeId);
+
+  // Strokes without a known layer belong to the bottom layer
+  Layers.get = function get(id, list = layers) {
+    return list.find(l => l.id === id) || list[0] || null;
+  };
+  Layers.indexOf = function indexOf(id, list = layers) {
+    return Math.max(0, list.indexOf(Layers.get(id, list)));
+  };
+  Layers.isVisible = (id) => !!Layers.get(id)?.visible;
+  Layers.isEditable = (id) => { const l = Layers.get(id); return !!l && l.visible && !l.locked; };
+
+  Layers.setActive = function setActive(id) {
+    if (!layers.some(l => l.id === id)) return;
+    activeId = id;
+    _renderPanel();
+  };
+
+  Layers.add = function add(name) {
+    _change('Add layer', () => {
+      const l = _makeLayer(name || `Layer ${nextId}`);
+      // New layers go right above the active one
+      layers.splice(Layers.indexOf(activeId) + 1, 0, l);
+      activeId = l.id;
+    });
+  };
+
+  Layers.rename = function rename(id, name) {
+    const l = layers.find(x => x.id === id);
+    const next = String(name ?? '').trim();
+    if (!l || !next || next === l.name) return;
+    _change('Rename layer', () => { l.name = next; });
+  };
+
+  // Move a layer up (+1) or down (-1) in the stack
+  Layers.move = function move(id, dir) {
+    const i = layers.findIndex(l => l.id === id);
+    const j = i + Math.sign(dir);
+    if (i < 0 || j < 0 || j >= layers.length) return;
+    _change('Reorder layers', () => { [layers[i], layers[j]] = [layers[j], layers[i]]; });
+  };
+
+  Layers.setVisible = function setVisible(id, on) {
+    const l = layers.find(x => x.id === id);
+    if (!l || l.visible === !!on) return;
+    _change(on ? 'Show layer' : 'Hide layer', () => { l.visible = !!on; });
+  };
+
+  Layers.setLocked = function setLocked(id, on) {
+    const l = layers.find(x => x.id === id);
+    if (!l || l.locked === !!on) return;
+    _change(on ? 'Lock layer' : 'Unlock layer', () => { l.locked = !!on; });
+  };
+
+  // Opacity changes live while a slider drags; pass the drag's starting snapshot to record it
+  Layers.setOpacity = function setOpacity(id, value, before = null) {
+    const l = layers.find(x => x.id === id);
+    if (!l) return;
+    l.opacity = Math.max(0, Math.min(100, Number(value) || 0));
+    if (before) {
+      _renderPanel();
+      if (onChange) onChange('Layer opacity', before, Layers.snapshot());
+    }
+  };
+
+  // Copy of the list (and active layer) for stored frames and undo
+  Layers.snapshot = function snapshot() {
+    return { layers: layers.map(l => ({ ...l })), activeId };
+  };
+
+  // Replace the list from a snapshot; null starts over with a single layer
+  Layers.restore = function restore(snap) {
+    const src = snap?.layers?.length ? snap.layers : null;
+    if (src) {
+      layers = src.map(l => ({ ...l }));
+      nextId = Math.max(nextId, ...layers.map(l => l.id + 1));
+    } else {
+      layers = [_makeLayer('Layer 1')];
+    }
+    activeId = layers.some(l => l.id === snap?.activeId) ? snap.activeId : layers[layers.length - 1].id;
+    _renderPanel();
+  };
+
+  // Group strokes by layer, bottom layer first (stroke order is kept inside each layer)
+  Layers.group = function group(strokes, list = layers) {
+    if (!list?.length) return [{ layer: { id: null, visible: true, locked: false, opacity: 100 }, strokes: strokes.slice() }];
+    const groups = list.map(layer => ({ layer, strokes: [] }));
+    for (const s of strokes) groups[Layers.indexOf(s.layer, list)].strokes.push(s);
+    return groups;
+  };
+
+  // Draw strokes layer by layer, skipping hidden layers; drawOne(stroke, target) draws onto target
+  // A layer below full opacity is drawn into an offscreen buffer that is blended once, so its own strokes
+  // don't darken each other where they overlap
+  Layers.render = function render(strokes, drawOne, list = layers) {
+    for (const { layer, strokes: items } of Layers.group(strokes, list)) {
+      const opacity = layer.opacity ?? 100;
+      if (!layer.visible || !items.length || opacity <= 0) continue;
+      if (opacity >= 100) {
+        for (const s of items) drawOne(s, window);
+        continue;
+      }
+      const g = _buffer();
+      g.clear();
+      for (const s of items) drawOne(s, g);
+      const ctx = drawingContext;
+      const prev = ctx.globalAlpha;
+      ctx.globalAlpha = prev * opacity / 100;
+      ctx.drawImage(g.elt, 0, 0, width, height);
+      ctx.globalAlpha = prev;
+    }
+  };
+
+  // Offscreen layer buffer the size of the canvas (made again after a resize)
+  let buffer = null;
+  function _buffer() {
+    if (buffer && buffer.width === width && buffer.height === height) return buffer;
+    if (buffer) buffer.remove();
+    buffer = createGraphics(width, height);
+    buffer.pixelDensity(1);
+    buffer.colorMode(HSB, 360, 100, 100, 100);
+    return buffer;
+  }
+
+  function _makeLayer(name) {
+    return { id: nextId++, name, visible: true, locked: false, opacity: 100 };
+  }
+
+  // Apply a change to the list and report it (for undo)
+  function _change(label, fn) {
+    const before = Layers.snapshot();
+    fn();
+    _renderPanel();
+    if (onChange) onChange(label, before, Layers.snapshot());
+  }
+
+  // Panel
+  function _ensurePanel() {
+    if (panel) return;
+
+    panel = document.createElement('div');
+    panel.id = 'layersPanel';
+    panel.style.position = 'absolute';
+    panel.style.background = '#fff';
+    panel.style.border = '1px solid #ddd';
+    panel.style.borderRadius = '10px';
+    panel.style.boxShadow = '0 4px 16px rgba(0,0,0,0.08)';
+    panel.style.fontFamily = 'cursive';
+    panel.style.userSelect = 'none';
+    panel.style.overflowY = 'auto';
+    panel.style.zIndex = '10';
+
+    const header = document.createElement('div');
+    header.style.padding = '8px 12px';
+    header.style.background = '#f8f8fb';
+    header.style.borderBottom = '1px solid #eee';
+    header.style.display = 'flex';
+    header.style.alignItems = 'center';
+
+    const title = document.createElement('div');
+    title.innerHTML = '<b>Layers</b>';
+    title.style.fontSize = '13px';
+    title.style.color = '#111';
+
+    const addBtn = _iconButton('+', 'Add layer');
+    addBtn.style.marginLeft = 'auto';
+    addBtn.style.fontSize = '16px';
+    addBtn.addEventListener('click', () => Layers.add());
+
+    header.appendChild(title);
+    header.appendChild(addBtn);
+
+    list = document.createElement('div');
+    list.style.padding = '6px';
+
+    const hint = document.createElement('div');
+    hint.textContent = 'double-click a name to rename';
+    hint.style.fontSize = '11px';
+    hint.style.color = '#666';
+    hint.style.padding = '0 12px 8px';
+
+    panel.appendChild(header);
+    panel.appendChild(list);
+    panel.appendChild(hint);
+    document.body.appendChild(panel);
+  }
+
+  function _renderPanel() {
+    if (!list) return;
+    list.innerHTML = '';
+
+    // Top layer is listed first
+    for (let i = layers.length - 1; i >= 0; i--) {
+      const l = layers[i];
+
+      const row = document.createElement('div');
+      row.style.border = (l.id === activeId) ? '2px solid #6366F1' : '1px solid #eee';
+      row.style.borderRadius = '8px';
+      row.style.padding = '4px 6px';
+      row.style.marginBottom = '6px';
+      row.style.cursor = 'pointer';
+      row.style.background = l.visible ? '#fff' : '#f3f4f6';
+      row.addEventListener('click', () => Layers.setActive(l.id));
+
+      const top = document.createElement('div');
+      top.style.display = 'flex';
+      top.style.alignItems = 'center';
+      top.style.gap = '4px';
+
+      const eye = _iconButton(l.visible ? '👁' : '—', l.visible ? 'Hide layer' : 'Show layer');
+      eye.addEventListener('click', (e) => { e.stopPropagation(); Layers.setVisible(l.id, !l.visible); });
+
+      const lock = _iconButton(l.locked ? '🔒' : '🔓', l.locked ? 'Unlock layer' : 'Lock layer');
+      lock.addEventListener('click', (e) => { e.stopPropagation(); Layers.setLocked(l.id, !l.locked); });
+
+      const name = document.createElement('div');
+      name.textContent = l.name;
+      name.title = l.name;
+      name.style.flex = '1';
+      name.style.fontSize = '12px';
+      name.style.color = l.visible ? '#111' : '#9ca3af';
+      name.style.overflow = 'hidden';
+      name.style.textOverflow = 'ellipsis';
+      name.style.whiteSpace = 'nowrap';
+      name.addEventListener('dblclick', (e) => {
+        e.stopPropagation();
+        const next = prompt('Layer name', l.name);
+        if (next !== null) Layers.rename(l.id, next);
+      });
+
+      const up = _iconButton('▲', 'Move up');
+      up.disabled = i === layers.length - 1;
+      up.addEventListener('click', (e) => { e.stopPropagation(); Layers.move(l.id, 1); });
+
+      const down = _iconButton('▼', 'Move down');
+      down.disabled = i === 0;
+      down.addEventListener('click', (e) => { e.stopPropagation(); Layers.move(l.id, -1); });
+
+      top.appendChild(eye);
+      top.appendChild(lock);
+      top.appendChild(name);
+      top.appendChild(up);
+      top.appendChild(down);
+
+      // Opacity slider: live while dragging, recorded once on release
+      const op = document.createElement('input');
+      op.type = 'range';
+      op.min = '0'; op.max = '100'; op.step = '1';
+      op.value = String(l.opacity);
+      op.title = `Opacity ${l.opacity}%`;
+      op.style.width = '100%';
+      op.style.height = '14px';
+      let before = null;
+      op.addEventListener('click', (e) => e.stopPropagation());
+      op.addEventListener('input', () => {
+        if (!before) before = Layers.snapshot();
+        Layers.setOpacity(l.id, op.value);
+      });
+      op.addEventListener('change', () => {
+        Layers.setOpacity(l.id, op.value, before || Layers.snapshot());
+        before = null;
+      });
+
+      row.appendChild(top);
+      row.appendChild(op);
+      list.appendChild(row);
+    }
+  }
+
+  function _iconButton(text, title) {
+    const b = document.createElement('button');
+    b.textContent = text;
+    b.title = title;
+    b.style.padding = '0 2px';
+    b.style.margin = '0';
+    b.style.border = 'none';
+    b.style.background = 'transparent';
+    b.style.color = '#374151';
+    b.style.fontSize = '12px';
+    b.style.lineHeight = '1';
+    b.style.cursor = 'pointer';
+    return b;
+  }
+
+  root.Layers = Layers;
+})(window);
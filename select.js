@@ -0,0 +1,187 @@
+/* select.js
+   - Multi-selection helpers for Move mode: rectangle marquee and freeform lasso picking, group expansion,
+       the selection bounding box with scale/rotate/flip handles and a movable pivot
+   - Transforms are affine matrices applied to snapshots of the selected strokes' points taken when a drag starts
+*/
+
+(function (root) {
+  const Select = {};
+
+  const HANDLE = 8;          // handle square size
+  const ROTATE_OFFSET = 24;  // rotate knob distance above the box
+  let groupSeq = 0;
+  let getBox = () => null;
+
+  // The drawing box keeps the rotate knob where it can be clicked
+  Select.configure = function ({ box } = {}) {
+    if (typeof box === 'function') getBox = box;
+  };
+
+  // Bounding box of several strokes
+  Select.bounds = function (strokes) {
+    let minx = Infinity, miny = Infinity, maxx = -Infinity, maxy = -Infinity;
+    for (const s of strokes) {
+      for (const p of s.points) {
+        minx = Math.min(minx, p.x); miny = Math.min(miny, p.y);
+        maxx = Math.max(maxx, p.x); maxy = Math.max(maxy, p.y);
+      }
+    }
+    if (!isFinite(minx)) return null;
+    return { minx, miny, maxx, maxy, w: maxx - minx, h: maxy - miny, cx: (minx + maxx) / 2, cy: (miny + maxy) / 2 };
+  };
+
+  // Strokes whose points all lie inside the rectangle between corners a and b
+  Select.inRect = function (strokes, a, b) {
+    const x0 = Math.min(a.x, b.x), x1 = Math.max(a.x, b.x);
+    const y0 = Math.min(a.y, b.y), y1 = Math.max(a.y, b.y);
+    return strokes.filter(s => s.points.length && s.points.every(p => p.x >= x0 && p.x <= x1 && p.y >= y0 && p.y <= y1));
+  };
+
+  // Strokes whose points all lie inside the lasso polygon
+  Select.inLasso = function (strokes, lasso) {
+    if (!lasso || lasso.length < 3) return [];
+    return strokes.filter(s => s.points.length && s.points.every(p => _inPolygon(lasso, p.x, p.y)));
+  };
+
+  // Add every stroke that shares a group with a picked stroke
+  Select.expandGroups = function (strokes, picked) {
+    const groups = new Set(picked.map(s => s.group).filter(g => g != null));
+    if (!groups.size) return picked.slice();
+    const out = picked.slice();
+    for (const s of strokes) if (groups.has(s.group) && !out.includes(s)) out.push(s);
+    return out;
+  };
+
+  Select.newGroupId = function () {
+    return `g${Date.now().toString(36)}${(groupSeq++).toString(36)}`;
+  };
+
+  // Handles for a bounding box: 8 scale handles (with the opposite point as anchor), a rotate knob, and the pivot
+  Select.handles = function (b, pivot) {
+    const xs = [b.minx, b.cx, b.maxx], ys = [b.miny, b.cy, b.maxy];
+    const out = [];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        if (i === 1 && j === 1) continue;
+        out.push({
+          kind: 'scale', x: xs[i], y: ys[j],
+          ax: xs[2 - i], ay: ys[2 - j],
+          sx: i !== 1, sy: j !== 1,     // which axes this handle scales
+        });
+      }
+    }
+    out.push({ kind: 'rotate', x: b.cx, y: _knobY(b) });
+    if (pivot) out.push({ kind: 'pivot', x: pivot.x, y: pivot.y });
+    return out;
+  };
+
+  // Nearest handle under (x, y), if any
+  Select.hitHandle = function (b, pivot, x, y) {
+    if (!b) return null;
+    const r = HANDLE * 0.5 + 4;
+    let best = null, bestD = Infinity;
+    for (const h of Select.handles(b, pivot)) {
+      const d = Math.max(Math.abs(x - h.x), Math.abs(y - h.y));
+      if (d <= r && d < bestD) { best = h; bestD = d; }
+    }
+    return best;
+  };
+
+  Select.contains = function (b, x, y) {
+    return !!b && x >= b.minx && x <= b.maxx && y >= b.miny && y <= b.maxy;
+  };
+
+  // Affine matrices {a, b, c, d, e, f}: x' = a*x + c*y + e, y' = b*x + d*y + f
+  Select.translate = (dx, dy) => ({ a: 1, b: 0, c: 0, d: 1, e: dx, f: dy });
+
+  Select.scaleAbout = function (px, py, sx, sy) {
+    return { a: sx, b: 0, c: 0, d: sy, e: px - sx * px, f: py - sy * py };
+  };
+
+  Select.rotateAbout = function (px, py, ang) {
+    const ca = Math.cos(ang), sa = Math.sin(ang);
+    return { a: ca, b: sa, c: -sa, d: ca, e: px - ca * px + sa * py, f: py - sa * px - ca * py };
+  };
+
+  Select.applyToPoint = (m, x, y) => ({ x: m.a * x + m.c * y + m.e, y: m.b * x + m.d * y + m.f });
+
+  // Copy of the points (and nib angles) of the selected strokes, taken when a transform drag starts
+  Select.snapshot = function (strokes) {
+    return strokes.map(s => ({ s, points: s.points.map(p => ({ ...p })), nibAngle: s.nibAngle }));
+  };
+
+  // Set every snapshotted stroke to its original points transformed by m
+  Select.applyMatrix = function (snap, m) {
+    for (const { s, points, nibAngle } of snap) {
+      s.points = points.map(p => ({ ...p, ...Select.applyToPoint(m, p.x, p.y) }));
+      // Turn calligraphy nibs with the shape
+      if (typeof nibAngle === 'number') {
+        const a = nibAngle * Math.PI / 180;
+        const ux = m.a * Math.cos(a) + m.c * Math.sin(a);
+        const uy = m.b * Math.cos(a) + m.d * Math.sin(a);
+        if (ux || uy) s.nibAngle = Math.atan2(uy, ux) * 180 / Math.PI;
+      }
+    }
+  };
+
+  // Draws the selection outline, handles, rotate knob, and pivot crosshair
+  Select.drawBox = function (b, pivot) {
+    if (!b) return;
+    push();
+    noFill(); stroke('#22C55E'); strokeWeight(1.5);
+    drawingContext.setLineDash([5, 4]);
+    rect(b.minx, b.miny, b.w, b.h);
+    drawingContext.setLineDash([]);
+    const knobY = _knobY(b);
+    line(b.cx, knobY > b.maxy ? b.maxy : b.miny, b.cx, knobY);
+    for (const h of Select.handles(b, pivot)) {
+      if (h.kind === 'scale') {
+        fill('#fff'); stroke('#22C55E'); strokeWeight(1.5);
+        rect(h.x - HANDLE / 2, h.y - HANDLE / 2, HANDLE, HANDLE);
+      } else if (h.kind === 'rotate') {
+        fill('#22C55E'); noStroke();
+        circle(h.x, h.y, HANDLE + 2);
+      } else {
+        noFill(); stroke('#6366F1'); strokeWeight(1.5);
+        circle(h.x, h.y, HANDLE + 4);
+        line(h.x - HANDLE, h.y, h.x + HANDLE, h.y);
+        line(h.x, h.y - HANDLE, h.x, h.y + HANDLE);
+      }
+    }
+    pop();
+  };
+
+  // Marquee rectangle or lasso outline while dragging
+  Select.drawPicker = function (a, b, lasso) {
+    push();
+    stroke('#6366F1'); strokeWeight(1); fill(240, 60, 90, 8);
+    drawingContext.setLineDash([4, 4]);
+    if (lasso) {
+      beginShape(); for (const p of lasso) vertex(p.x, p.y); endShape(CLOSE);
+    } else if (a && b) {
+      rect(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+    }
+    drawingContext.setLineDash([]);
+    pop();
+  };
+
+  // Rotate knob above the selection; below it (or just inside its top) when above would leave the drawing box
+  function _knobY(b) {
+    const box = getBox();
+    if (!box || b.miny - ROTATE_OFFSET >= box.y) return b.miny - ROTATE_OFFSET;
+    if (b.maxy + ROTATE_OFFSET <= box.y + box.h) return b.maxy + ROTATE_OFFSET;
+    return b.miny + ROTATE_OFFSET;
+  }
+
+  // even-odd ray casting
+  function _inPolygon(poly, x, y) {
+    let inside = false;
+    for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+      const a = poly[i], b = poly[j];
+      if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+  }
+
+  root.Select = Select;
+})(window);
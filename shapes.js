@@ -0,0 +1,100 @@
+/* shapes.js
+   - Point generators for the geometric shape tools (line, polyline, rectangle, ellipse, regular polygon, star, arc)
+   - Shapes are plain {x, y, w} point lists, so they become ordinary strokes that symmetry, Vertex, and Move can work with
+*/
+
+(function (root) {
+  const Shapes = {};
+
+  const ELLIPSE_SEGMENTS = 72;
+
+  // Tools and whether the shape they produce is closed
+  Shapes.kinds = {
+    line: { label: 'Line', closed: false },
+    polyline: { label: 'Polyline', closed: false },
+    rect: { label: 'Rectangle', closed: true },
+    ellipse: { label: 'Ellipse', closed: true },
+    polygon: { label: 'Polygon', closed: true },
+    star: { label: 'Star', closed: true },
+    arc: { label: 'Arc', closed: false },
+  };
+
+  Shapes.isClosed = (kind) => !!Shapes.kinds[kind]?.closed;
+
+  // Straight line between two points
+  Shapes.line = function (a, b) {
+    return [pt(a.x, a.y), pt(b.x, b.y)];
+  };
+
+  // Rectangle from corner a to corner b (square keeps equal sides)
+  Shapes.rect = function (a, b, square = false) {
+    let w = b.x - a.x, h = b.y - a.y;
+    if (square) {
+      const s = Math.max(Math.abs(w), Math.abs(h));
+      w = Math.sign(w || 1) * s; h = Math.sign(h || 1) * s;
+    }
+    return [pt(a.x, a.y), pt(a.x + w, a.y), pt(a.x + w, a.y + h), pt(a.x, a.y + h)];
+  };
+
+  // Ellipse centered at c whose bounding box reaches p (circle uses the distance to p)
+  Shapes.ellipse = function (c, p, circle = false) {
+    let rx = Math.abs(p.x - c.x), ry = Math.abs(p.y - c.y);
+    if (circle) rx = ry = Math.hypot(p.x - c.x, p.y - c.y);
+    const out = [];
+    for (let i = 0; i < ELLIPSE_SEGMENTS; i++) {
+      const a = (2 * Math.PI * i) / ELLIPSE_SEGMENTS;
+      out.push(pt(c.x + rx * Math.cos(a), c.y + ry * Math.sin(a)));
+    }
+    return out;
+  };
+
+  // Regular n-gon centered at c with a vertex at p
+  Shapes.polygon = function (c, p, n) {
+    n = Math.max(3, Math.floor(n || 3));
+    const r = Math.hypot(p.x - c.x, p.y - c.y);
+    const a0 = Math.atan2(p.y - c.y, p.x - c.x);
+    const out = [];
+    for (let i = 0; i < n; i++) {
+      const a = a0 + (2 * Math.PI * i) / n;
+      out.push(pt(c.x + r * Math.cos(a), c.y + r * Math.sin(a)));
+    }
+    return out;
+  };
+
+  // Star with n points centered at c, outer tip at p, inner radius = inner * outer radius
+  Shapes.star = function (c, p, n, inner = 0.5) {
+    n = Math.max(3, Math.floor(n || 5));
+    const r = Math.hypot(p.x - c.x, p.y - c.y);
+    const a0 = Math.atan2(p.y - c.y, p.x - c.x);
+    const out = [];
+    for (let i = 0; i < 2 * n; i++) {
+      const a = a0 + (Math.PI * i) / n;
+      const rr = (i % 2 === 0) ? r : r * inner;
+      out.push(pt(c.x + rr * Math.cos(a), c.y + rr * Math.sin(a)));
+    }
+    return out;
+  };
+
+  // Circular arc around c with radius r, from angle a0 sweeping by sweep (radians, may be negative)
+  Shapes.arc = function (c, r, a0, sweep) {
+    const steps = Math.max(2, Math.ceil((Math.abs(sweep) / (2 * Math.PI)) * ELLIPSE_SEGMENTS));
+    const out = [];
+    for (let i = 0; i <= steps; i++) {
+      const a = a0 + (sweep * i) / steps;
+      out.push(pt(c.x + r * Math.cos(a), c.y + r * Math.sin(a)));
+    }
+    return out;
+  };
+
+  // Smallest signed difference between two angles (radians), used to accumulate an arc's sweep
+  Shapes.angleDelta = function (from, to) {
+    let d = to - from;
+    while (d > Math.PI) d -= 2 * Math.PI;
+    while (d < -Math.PI) d += 2 * Math.PI;
+    return d;
+  };
+
+  function pt(x, y) { return { x, y, w: 1 }; }
+
+  root.Shapes = Shapes;
+})(window);
@@ -0,0 +1,160 @@
+/* snap.js
+   - Snapping for drawing and editing: a square grid, a polar grid (rings around the symmetry center split into the
+       symmetry's N sectors), existing vertices and stroke endpoints, and 15 degree angle steps while Shift is held
+   - Freehand points, shape tools, Vertex drags, and Move pass the pointer through Snap.point; the last hit is marked
+       on the canvas, and the active grid is drawn faintly under the strokes
+*/
+
+(function (root) {
+  const Snap = {};
+
+  const TOLERANCE = 10;              // how close (px) the pointer has to be for a target to catch it
+  const ANGLE_STEP = Math.PI / 12;   // 15 degrees
+  const MIN_SECTORS = 12;            // polar sectors are halved until there are at least this many
+  const MIN_SPACING = 5;
+  const INDICATOR_MS = 400;
+
+  Snap.targets = 'off';   // 'off', 'grid', 'polar', 'vertices', 'grid+vertices', or 'polar+vertices'
+  Snap.spacing = 25;      // grid cell size and ring spacing (px)
+
+  let getBox = () => null;
+  let getStrokes = () => [];
+  let getPolar = () => null;         // (at) => { cx, cy, n, a0 }
+  let last = null;                   // latest snap, for the indicator
+
+  Snap.configure = ({ box, strokes, polar } = {}) => {
+    if (typeof box === 'function') getBox = box;
+    if (typeof strokes === 'function') getStrokes = strokes;
+    if (typeof polar === 'function') getPolar = polar;
+  };
+
+  Snap.uses = (kind) => Snap.targets.split('+').includes(kind);
+
+  // Snap a pointer position to the nearest target
+  //   from:  anchor for the Shift angle steps (the stroke start, previous vertex, or drag start)
+  //   angle: Shift is held and free for the constraint
+  //   skip:  strokes that offer no vertices (the ones moving with the drag)
+  //   skipPoint: { stroke, index } of the vertex being dragged
+  //   at:    where the stroke started (picks the mandala ring for the polar sectors)
+  Snap.point = function (x, y, opts = {}) {
+    const hit = (opts.angle && opts.from && _angle(x, y, opts.from))
+      || (Snap.uses('vertices') && _vertex(x, y, opts))
+      || (Snap.uses('grid') && _grid(x, y))
+      || (Snap.uses('polar') && _polar(x, y, opts.at));
+    last = hit ? { ...hit, t: millis() } : null;
+    if (!hit) return { x, y };
+    const b = getBox();
+    if (!b) return { x: hit.x, y: hit.y };
+    return { x: constrain(hit.x, b.x, b.x + b.w), y: constrain(hit.y, b.y, b.y + b.h) };
+  };
+
+  Snap.clear = () => { last = null; };
+
+  // Faint grid under the strokes while grid or polar snapping is on
+  Snap.drawGrid = function (BOX, at = null) {
+    const s = _spacing();
+    if (Snap.uses('grid')) {
+      push();
+      stroke(210, 30, 60, 18); strokeWeight(1);
+      for (let x = BOX.x + s; x < BOX.x + BOX.w; x += s) line(x, BOX.y, x, BOX.y + BOX.h);
+      for (let y = BOX.y + s; y < BOX.y + BOX.h; y += s) line(BOX.x, y, BOX.x + BOX.w, y);
+      pop();
+    }
+    if (Snap.uses('polar')) {
+      const p = getPolar(at);
+      if (!p) return;
+      const reach = Math.hypot(BOX.w, BOX.h);
+      const n = _sectors(p.n);
+      push();
+      noFill(); stroke(210, 30, 60, 18); strokeWeight(1);
+      for (let r = s; r < reach; r += s) circle(p.cx, p.cy, r * 2);
+      for (let k = 0; k < n; k++) {
+        const a = p.a0 + (2 * Math.PI * k) / n;
+        line(p.cx, p.cy, p.cx + Math.cos(a) * reach, p.cy + Math.sin(a) * reach);
+      }
+      pop();
+    }
+  };
+
+  // Marker on the latest snap: a square on vertices, a ring on grid points, the constraint ray for angles
+  Snap.drawIndicator = function () {
+    if (!last || millis() - last.t > INDICATOR_MS) return;
+    push();
+    noFill(); stroke('#DB2777'); strokeWeight(1.5);
+    if (last.kind === 'angle') {
+      drawingContext.setLineDash([4, 4]);
+      line(last.from.x, last.from.y, last.x, last.y);
+      drawingContext.setLineDash([]);
+      circle(last.x, last.y, 8);
+    } else if (last.kind === 'vertex' || last.kind === 'endpoint') {
+      rectMode(CENTER);
+      rect(last.x, last.y, last.kind === 'endpoint' ? 12 : 9, last.kind === 'endpoint' ? 12 : 9);
+    } else {
+      circle(last.x, last.y, 12);
+      line(last.x - 8, last.y, last.x + 8, last.y);
+      line(last.x, last.y - 8, last.x, last.y + 8);
+    }
+    pop();
+  };
+
+  // Internal helpers
+  function _spacing() { return Math.max(MIN_SPACING, Number(Snap.spacing) || 25); }
+
+  function _sectors(n) {
+    if (!n) return MIN_SECTORS;
+    let k = Math.max(1, Math.floor(n));
+    while (k < MIN_SECTORS) k *= 2;
+    return k;
+  }
+
+  // Nearest 15 degree ray from the anchor, keeping the pointer's distance along it
+  function _angle(x, y, from) {
+    const dx = x - from.x, dy = y - from.y;
+    if (Math.hypot(dx, dy) < 1) return null;
+    const a = Math.round(Math.atan2(dy, dx) / ANGLE_STEP) * ANGLE_STEP;
+    const d = dx * Math.cos(a) + dy * Math.sin(a);
+    return { x: from.x + Math.cos(a) * d, y: from.y + Math.sin(a) * d, kind: 'angle', from: { x: from.x, y: from.y } };
+  }
+
+  // Stroke endpoints win over inner vertices when both are in reach
+  function _vertex(x, y, { skip = [], skipPoint = null } = {}) {
+    let best = null, bestD = TOLERANCE, bestEnd = false;
+    for (const s of getStrokes()) {
+      if (!s?.points || skip.includes(s)) continue;
+      const pts = s.points;
+      for (let i = 0; i < pts.length; i++) {
+        if (skipPoint && skipPoint.stroke === s && skipPoint.index === i) continue;
+        const d = Math.hypot(pts[i].x - x, pts[i].y - y);
+        if (d > TOLERANCE) continue;
+        const end = !s.closed && (i === 0 || i === pts.length - 1);
+        if ((end && !bestEnd) || (end === bestEnd && d < bestD)) {
+          best = pts[i]; bestD = d; bestEnd = end;
+        }
+      }
+    }
+    return best ? { x: best.x, y: best.y, kind: bestEnd ? 'endpoint' : 'vertex' } : null;
+  }
+
+  function _grid(x, y) {
+    const b = getBox();
+    if (!b) return null;
+    const s = _spacing();
+    const gx = b.x + Math.round((x - b.x) / s) * s;
+    const gy = b.y + Math.round((y - b.y) / s) * s;
+    return Math.hypot(gx - x, gy - y) <= TOLERANCE ? { x: gx, y: gy, kind: 'grid' } : null;
+  }
+
+  // Ring and spoke crossings around the symmetry center
+  function _polar(x, y, at) {
+    const p = getPolar(at || { x, y });
+    if (!p) return null;
+    const s = _spacing();
+    const r = Math.round(Math.hypot(x - p.cx, y - p.cy) / s) * s;
+    const step = (2 * Math.PI) / _sectors(p.n);
+    const a = p.a0 + Math.round((Math.atan2(y - p.cy, x - p.cx) - p.a0) / step) * step;
+    const px = p.cx + Math.cos(a) * r, py = p.cy + Math.sin(a) * r;
+    return Math.hypot(px - x, py - y) <= TOLERANCE ? { x: px, y: py, kind: 'polar' } : null;
+  }
+
+  root.Snap = Snap;
+})(window);
@@ -1,5 +1,6 @@
 /* store.js
    Frame storage: panel UI, cloning, thumbnails, and render helpers
+   Frames keep the layer list they were stored with (see layers.js) and the symmetry center/offset (and custom mirror lines)
 */
 
 (function (root) {
@@ -41,7 +42,7 @@
     return 140;
   };
 
-  Store.addFrameFrom = function addFrameFrom(strokes, captureFn) {
+  Store.addFrameFrom = function addFrameFrom(strokes, captureFn, layers = null, symmetry = null) {
     if (!Array.isArray(strokes) || strokes.length === 0) {
       alert('Nothing to store — draw something first.');
       return;
@@ -56,7 +57,12 @@
       return;
     }
     const thumbUrl = _makeThumbDataUrl(captureFn);
-    storedDrawings.push({ strokes: drawing, thumbDataUrl: thumbUrl });
+    storedDrawings.push({
+      strokes: drawing,
+      layers: layers ? layers.map(l => ({ ...l })) : null,
+      symmetry: symmetry ? JSON.parse(JSON.stringify(symmetry)) : null,
+      thumbDataUrl: thumbUrl
+    });
     selectedFrameIdx = storedDrawings.length - 1;
     _renderPanel();
     return selectedFrameIdx;
@@ -71,6 +77,19 @@
     return slot.strokes.map(_toP5Stroke);
   };
 
+  // Layer snapshot ({ layers, activeId }) of a stored frame, or null for frames without one
+  Store.storedLayers = function storedLayers(idx) {
+    const slot = storedDrawings[idx];
+    if (!slot?.layers) return null;
+    return { layers: slot.layers.map(l => ({ ...l })), activeId: null };
+  };
+
+  // Symmetry origin ({ center, angleOffset }) a frame was stored with, or null
+  Store.storedSymmetry = function storedSymmetry(idx) {
+    const slot = storedDrawings[idx];
+    return slot?.symmetry ? JSON.parse(JSON.stringify(slot.symmetry)) : null;
+  };
+
   Store.getFrames = function getFrames() {
     return storedDrawings;
   };
@@ -79,21 +98,43 @@
     return storedDrawings.length;
   };
 
-  // For Anim.render
-  Store.drawDrawing = function drawDrawing(drawing) {
-    for (const s of drawing) {
-      if (s.eraser) continue;
-      stroke(color(s.colHSB.h, s.colHSB.s, s.colHSB.b, s.opacity ?? s.colHSB.a ?? 100));
-      noFill();
-      strokeWeight(s.thickness || 4);
-      strokeCap(ROUND);
-      strokeJoin(ROUND);
-      beginShape();
-      for (const pt of s.points) vertex(pt.x, pt.y);
-      endShape();
-    }
+  // For Anim.render: plain records are drawn directly (straight segments between points, as frames always were)
+  Store.drawDrawing = function drawDrawing(drawing, layers = null) {
+    const strokes = drawing.filter(s => !s.eraser && s.points && s.points.length >= 2);
+    Layers.render(strokes, _drawRecord, layers);
   };
 
+  // Brushes, gradients, and widths go through the Stroke helpers with the record's colors as HSB arrays
+  function _drawRecord(s, g) {
+    const col = [s.colHSB.h, s.colHSB.s, s.colHSB.b, s.opacity ?? s.colHSB.a ?? 100];
+    const closed = s.closed && s.points.length >= 3;
+    if (closed && s.fillHSB) {
+      g.noStroke();
+      g.fill(s.fillHSB.h, s.fillHSB.s, s.fillHSB.b, s.fillOpacity ?? 100);
+      Stroke.drawClosedCurve(g, s.points, true);
+    }
+    const pts = closed ? s.points.concat([s.points[0]]) : s.points;
+    const style = {
+      col, thickness: s.thickness || 4, opacity: s.opacity ?? 100, brush: s.brush, dashLen: s.dashLen,
+      gapLen: s.gapLen, nibAngle: s.nibAngle, stops: s.stops, sharp: true
+    };
+    if (Stroke.hasGradient(s)) { Stroke.drawGradient(g, style, pts); return; }
+    if (s.brush && s.brush !== 'solid') { Stroke.drawBrush(g, style, pts); return; }
+    if (Stroke.hasVariableWidth(pts)) {
+      g.noStroke(); g.fill(col);
+      Stroke.drawRibbon(g, pts, style.thickness, false);
+      return;
+    }
+    g.stroke(col);
+    g.noFill();
+    g.strokeWeight(style.thickness);
+    g.strokeCap(g.ROUND);
+    g.strokeJoin(g.ROUND);
+    g.beginShape();
+    for (const pt of pts) g.vertex(pt.x, pt.y);
+    g.endShape();
+  }
+
   // Cloning / converts / thumbs 
   function _cloneVector(strokes) {
     return strokes
@@ -102,11 +143,28 @@
         thickness: s.thickness,
         opacity: s.opacity,
         eraser: !!s.eraser,
-        points: s.points.map(p => ({ x: p.x, y: p.y }))
+        closed: !!s.closed,
+        fillHSB: s.fillCol ? _getStrokeHSB(s.fillCol) : null,
+        fillOpacity: s.fillOpacity ?? 100,
+        brush: s.brush || 'solid',
+        dashLen: s.dashLen ?? 12,
+        gapLen: s.gapLen ?? 8,
+        nibAngle: s.nibAngle ?? 45,
+        sharp: !!s.sharp,
+        layer: s.layer ?? null,
+        group: s.group ?? null,
+        link: s.link ? _copyLink(s.link) : null,
+        stops: Stroke.hasGradient(s) ? s.stops.map(st => ({ t: st.t, h: st.h, s: st.s, b: st.b })) : null,
+        points: s.points.map(p => ({ x: p.x, y: p.y, w: p.w ?? 1 }))
       }))
       .filter(s => s.points.length >= 2);
   }
 
+  // (vary is the clone's style variation; strokes stored before it existed have none)
+  function _copyLink(link) {
+    return { id: link.id, m: { ...link.m }, vary: link.vary ? { ...link.vary } : null };
+  }
+
   function _getStrokeHSB(c) {
     if (!c) return { h: 0, s: 0, b: 0, a: 100 };
     push(); colorMode(HSB, 360, 100, 100, 100);
@@ -117,7 +175,19 @@
   function _toP5Stroke(s) {
     const col = color(s.colHSB.h, s.colHSB.s, s.colHSB.b, s.opacity ?? s.colHSB.a ?? 100);
     const st = new Stroke(col, s.thickness, s.opacity ?? 100, !!s.eraser);
-    for (const p of s.points) st.add(p.x, p.y);
+    st.closed = !!s.closed;
+    st.fillOpacity = s.fillOpacity ?? 100;
+    if (s.fillHSB) st.fillCol = color(s.fillHSB.h, s.fillHSB.s, s.fillHSB.b, st.fillOpacity);
+    st.brush = s.brush || 'solid';
+    st.dashLen = s.dashLen ?? 12;
+    st.gapLen = s.gapLen ?? 8;
+    st.nibAngle = s.nibAngle ?? 45;
+    st.stops = Stroke.hasGradient(s) ? s.stops.map(x => ({ ...x })) : null;
+    st.sharp = !!s.sharp;
+    st.layer = s.layer ?? null;
+    st.group = s.group ?? null;
+    st.link = s.link ? _copyLink(s.link) : null;
+    for (const p of s.points) st.add(p.x, p.y, p.w ?? 1);
     return st;
   }
 
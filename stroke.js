@@ -2,6 +2,12 @@
 - Stores Points + Color + Data
 - This is the base of all drawing
 - Draws a smooth, curved polyline
+- Points may carry a width factor w (1 = nominal thickness) from pen pressure or drawing speed;
+    such strokes are drawn as a filled variable-width ribbon
+- Closed strokes join the last point back to the first and may carry a fill color
+- Brush styles: solid, dashed (dash/gap lengths), dotted, tapered ends, and flat-nib calligraphic (nib angle)
+- Gradient strokes carry color stops {t, h, s, b} along their arc length (t in 0..1)
+- Sharp strokes (shape tools) are drawn as straight segments so corners stay crisp
 */
 class Stroke {
     // Creates new stroke with chosen color and thickness
@@ -9,19 +15,64 @@ class Stroke {
         this.col = col;              // color of stroke
         this.thickness = thickness;  // line thickness in pixels
         this.opacity = opacity;      // line opacity (0-100)
-        this.points = [];            // list of points {x , y} that form the stroke
+        this.points = [];            // list of points {x , y, w} that form the stroke
         this.eraser = eraser;        // if true, this stroke erases pixels
+        this.closed = false;         // if true, last point connects back to the first
+        this.fillCol = null;         // fill color for closed strokes (null = no fill)
+        this.fillOpacity = 100;      // fill opacity (0-100)
+        this.brush = 'solid';        // 'solid' | 'dashed' | 'dotted' | 'tapered' | 'calligraphic'
+        this.dashLen = 12;           // dash length in pixels (dashed)
+        this.gapLen = 8;             // gap length in pixels (dashed/dotted)
+        this.nibAngle = 45;          // nib angle in degrees (calligraphic)
+        this.stops = null;           // gradient color stops [{t, h, s, b}] (null = single color)
+        this.sharp = false;          // if true, points are joined by straight segments instead of a curve
+        this.group = null;           // group id (grouped strokes are selected together)
+        this.link = null;            // symmetry link {id, m}: m maps the shared source shape onto this stroke
     }
 
-    // Adds a new point (x, y) to the stroke while mouse is being dragged
-    add(x, y) {
-        this.points.push({ x, y });
+    // New empty stroke with the same color, thickness and other style properties
+    cloneStyle() {
+        const s = new Stroke(this.col, this.thickness, this.opacity, this.eraser);
+        for (const k of Object.keys(this)) {
+            if (k === 'points') continue;
+            const v = this[k];
+            s[k] = Array.isArray(v) ? v.map(e => (e && e.constructor === Object) ? { ...e } : e) : v;
+        }
+        return s;
+    }
+
+    // Adds a new point (x, y) with width factor w to the stroke while mouse is being dragged
+    add(x, y, w = 1) {
+        this.points.push({ x, y, w });
     }
 
     // Draws the stroke on canvas
     draw(p) {
         // Draw nothing if not enough points
         if (this.points.length < 2) return;
+        const closed = this.closed && this.points.length >= 3 && !this.eraser;
+
+        // Fill goes underneath the outline
+        if (closed && this.fillCol) {
+            p.noErase();
+            p.noStroke();
+            p.fill(this.fillCol);
+            Stroke.drawClosedCurve(p, this.points, this.sharp);
+        }
+
+        const pts = closed ? this.points.concat([this.points[0]]) : this.points;
+
+        // Gradient along the length (any brush style)
+        if (!this.eraser && Stroke.hasGradient(this)) {
+            Stroke.drawGradient(p, this, pts);
+            return;
+        }
+
+        // Styled brushes (eraser strokes are always solid)
+        if (!this.eraser && this.brush && this.brush !== 'solid') {
+            Stroke.drawBrush(p, this, pts);
+            return;
+        }
 
         // Set Drawing style
         if (this.eraser) {
@@ -32,18 +83,347 @@ class Stroke {
             p.noErase();
             p.stroke(this.col); // line color
         }
+
+        if (Stroke.hasVariableWidth(this.points)) {
+            // Filled ribbon using the per-point widths
+            if (!this.eraser) p.fill(this.col);
+            p.noStroke();
+            Stroke.drawRibbon(p, pts, this.thickness, !this.sharp);
+            if (this.eraser) p.noErase();
+            return;
+        }
+
         p.noFill();                       // no fill
         p.strokeWeight(this.thickness);   // line thickness
         p.strokeCap(p.ROUND);             // rounded line ends
         p.strokeJoin(p.ROUND);            // rounded line joints
 
+        if (closed) {
+            Stroke.drawClosedCurve(p, this.points, this.sharp);
+            return;
+        }
+
         // Begin Shape
         p.beginShape();
         for (const pt of this.points) {
-            p.curveVertex(pt.x, pt.y); // add curve vertex at point
+            if (this.sharp) p.vertex(pt.x, pt.y);
+            else p.curveVertex(pt.x, pt.y); // add curve vertex at point
         }
         p.endShape(); // end shape
 
         if (this.eraser) p.noErase();
     }
+
+    // Smooth closed curve through every point (wraps the curveVertex control points around)
+    static drawClosedCurve(p, points, sharp = false) {
+        const n = points.length;
+        if (sharp) {
+            p.beginShape();
+            for (const pt of points) p.vertex(pt.x, pt.y);
+            p.endShape(p.CLOSE);
+            return;
+        }
+        p.beginShape();
+        p.curveVertex(points[n - 1].x, points[n - 1].y);
+        for (const pt of points) p.curveVertex(pt.x, pt.y);
+        p.curveVertex(points[0].x, points[0].y);
+        p.curveVertex(points[1].x, points[1].y);
+        p.endShape();
+    }
+
+    // Draws a dashed, dotted, tapered or calligraphic stroke along the smoothed path
+    static drawBrush(p, s, points) {
+        p.noErase();
+        const pts = s.sharp ? points.slice() : Stroke.smoothPoints(points);
+        if (pts.length < 2) return;
+
+        switch (s.brush) {
+            case 'dashed': {
+                const runs = Stroke.dashRuns(pts, Math.max(1, s.dashLen ?? 12), Math.max(1, s.gapLen ?? 8));
+                if (Stroke.hasVariableWidth(pts)) {
+                    p.noStroke(); p.fill(s.col);
+                    for (const run of runs) Stroke.drawRibbon(p, run, s.thickness, false);
+                    return;
+                }
+                p.noFill(); p.stroke(s.col);
+                p.strokeWeight(s.thickness);
+                p.strokeCap(p.ROUND);
+                p.strokeJoin(p.ROUND);
+                for (const run of runs) {
+                    p.beginShape();
+                    for (const q of run) p.vertex(q.x, q.y);
+                    p.endShape();
+                }
+                return;
+            }
+            case 'dotted': {
+                p.noStroke(); p.fill(s.col);
+                const step = Math.max(2, s.thickness + (s.gapLen ?? 8));
+                for (const q of Stroke.samplesAlong(pts, step)) {
+                    p.circle(q.x, q.y, Math.max(0.5, s.thickness * (q.w ?? 1)));
+                }
+                return;
+            }
+            case 'tapered': {
+                p.noStroke(); p.fill(s.col);
+                Stroke.drawRibbon(p, Stroke.taperWidths(pts), s.thickness, false);
+                return;
+            }
+            case 'calligraphic': {
+                p.noStroke(); p.fill(s.col);
+                Stroke.drawNib(p, pts, s.thickness, s.nibAngle ?? 45);
+                // hairline keeps strokes parallel to the nib visible
+                p.noFill(); p.stroke(s.col); p.strokeWeight(1);
+                p.beginShape();
+                for (const q of pts) p.vertex(q.x, q.y);
+                p.endShape();
+                return;
+            }
+            default:
+                return;
+        }
+    }
+
+    // Width eases in/out over the first and last 30% of the length
+    static taperWidths(pts) {
+        const L = Stroke.cumulativeLengths(pts), total = L[L.length - 1] || 1;
+        const T = 0.3;
+        return pts.map((q, i) => {
+            const u = L[i] / total;
+            const f = Math.sin((Math.PI / 2) * Math.min(1, u / T, (1 - u) / T));
+            return { x: q.x, y: q.y, w: (q.w ?? 1) * Math.max(0.05, f) };
+        });
+    }
+
+    // Gradient helpers
+    static hasGradient(s) {
+        return Array.isArray(s?.stops) && s.stops.length >= 2;
+    }
+
+    // Hue interpolation along the shorter way around the wheel
+    static lerpHue(a, b, t) {
+        let d = ((b - a) % 360 + 540) % 360 - 180;
+        return (a + d * t + 360) % 360;
+    }
+
+    // Color {h, s, b} at arc fraction u
+    static stopColorAt(stops, u) {
+        const st = stops.slice().sort((a, b) => a.t - b.t);
+        if (u <= st[0].t) return { h: st[0].h, s: st[0].s, b: st[0].b };
+        for (let i = 1; i < st.length; i++) {
+            if (u <= st[i].t) {
+                const a = st[i - 1], b = st[i];
+                const k = (u - a.t) / ((b.t - a.t) || 1e-9);
+                return { h: Stroke.lerpHue(a.h, b.h, k), s: a.s + (b.s - a.s) * k, b: a.b + (b.b - a.b) * k };
+            }
+        }
+        const last = st[st.length - 1];
+        return { h: last.h, s: last.s, b: last.b };
+    }
+
+    // Stops for the part of a stroke between arc fractions u0..u1, rescaled to 0..1
+    static sliceStops(stops, u0, u1) {
+        if (!Array.isArray(stops) || stops.length < 2) return stops;
+        const span = (u1 - u0) || 1e-9;
+        const out = [{ t: 0, ...Stroke.stopColorAt(stops, u0) }];
+        for (const st of stops) {
+            if (st.t > u0 && st.t < u1) out.push({ t: (st.t - u0) / span, h: st.h, s: st.s, b: st.b });
+        }
+        out.push({ t: 1, ...Stroke.stopColorAt(stops, u1) });
+        return out;
+    }
+
+    // Draws a gradient stroke as short colored quads (dots for the dotted brush)
+    static drawGradient(p, s, points) {
+        p.noErase();
+        let pts = s.sharp ? points.slice() : Stroke.smoothPoints(points);
+        if (pts.length < 2) return;
+        const brush = s.brush || 'solid';
+        if (brush === 'tapered') pts = Stroke.taperWidths(pts);
+
+        const L = Stroke.cumulativeLengths(pts), total = L[L.length - 1] || 1;
+        const colAt = (d) => {
+            const c = Stroke.stopColorAt(s.stops, Math.max(0, Math.min(1, d / total)));
+            return p.color(c.h, c.s, c.b, s.opacity ?? 100);
+        };
+        p.noStroke();
+
+        if (brush === 'dotted') {
+            const step = Math.max(2, s.thickness + (s.gapLen ?? 8));
+            for (let d = 0; d <= total; d += step) {
+                const q = Stroke.pointAtLength(pts, L, d);
+                p.fill(colAt(d));
+                p.circle(q.x, q.y, Math.max(0.5, s.thickness * (q.w ?? 1)));
+            }
+            return;
+        }
+
+        // Dashes are drawn as separate pieces, each offset by its start along the stroke
+        let pieces = [{ pts, d0: 0 }];
+        if (brush === 'dashed') {
+            const dash = Math.max(1, s.dashLen ?? 12), gap = Math.max(1, s.gapLen ?? 8);
+            pieces = Stroke.dashRuns(pts, dash, gap).map((run, k) => ({ pts: run, d0: k * (dash + gap) }));
+        }
+
+        const nib = brush === 'calligraphic' ? (s.nibAngle ?? 45) * Math.PI / 180 : null;
+        for (const piece of pieces) {
+            const q = piece.pts, n = q.length;
+            if (n < 2) continue;
+            const PL = Stroke.cumulativeLengths(q);
+            const sides = q.map((pt, i) => {
+                const hw = Math.max(0.5, s.thickness * (pt.w ?? 1) / 2);
+                let ux, uy;
+                if (nib !== null) {
+                    ux = Math.cos(nib); uy = Math.sin(nib);
+                } else {
+                    const a = q[Math.max(0, i - 1)], b = q[Math.min(n - 1, i + 1)];
+                    const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+                    ux = -(b.y - a.y) / len; uy = (b.x - a.x) / len;
+                }
+                return { lx: pt.x + ux * hw, ly: pt.y + uy * hw, rx: pt.x - ux * hw, ry: pt.y - uy * hw, hw };
+            });
+            for (let i = 0; i < n - 1; i++) {
+                const a = sides[i], b = sides[i + 1];
+                p.fill(colAt(piece.d0 + (PL[i] + PL[i + 1]) / 2));
+                p.quad(a.lx, a.ly, b.lx, b.ly, b.rx, b.ry, a.rx, a.ry);
+            }
+            // Round ends (not for the flat nib)
+            if (nib === null) {
+                p.fill(colAt(piece.d0)); p.circle(q[0].x, q[0].y, sides[0].hw * 2);
+                p.fill(colAt(piece.d0 + PL[n - 1])); p.circle(q[n - 1].x, q[n - 1].y, sides[n - 1].hw * 2);
+            }
+        }
+    }
+
+    // Arc length at each point
+    static cumulativeLengths(pts) {
+        const L = [0];
+        for (let i = 1; i < pts.length; i++) {
+            L.push(L[i - 1] + Math.hypot(pts[i].x - pts[i - 1].x, pts[i].y - pts[i - 1].y));
+        }
+        return L;
+    }
+
+    // Point (with width factor) at arc length d, given cumulative lengths L
+    static pointAtLength(pts, L, d) {
+        let i = 1;
+        while (i < L.length - 1 && L[i] < d) i++;
+        const seg = L[i] - L[i - 1] || 1e-9;
+        const u = Math.max(0, Math.min(1, (d - L[i - 1]) / seg));
+        const a = pts[i - 1], b = pts[i];
+        return { x: a.x + (b.x - a.x) * u, y: a.y + (b.y - a.y) * u, w: (a.w ?? 1) + ((b.w ?? 1) - (a.w ?? 1)) * u };
+    }
+
+    // Splits a polyline into dash pieces of length dash separated by gap
+    static dashRuns(pts, dash, gap) {
+        const L = Stroke.cumulativeLengths(pts), total = L[L.length - 1];
+        const runs = [];
+        for (let d0 = 0; d0 < total; d0 += dash + gap) {
+            const d1 = Math.min(total, d0 + dash);
+            const run = [Stroke.pointAtLength(pts, L, d0)];
+            for (let i = 0; i < pts.length; i++) {
+                if (L[i] > d0 && L[i] < d1) run.push({ x: pts[i].x, y: pts[i].y, w: pts[i].w ?? 1 });
+            }
+            run.push(Stroke.pointAtLength(pts, L, d1));
+            runs.push(run);
+        }
+        return runs;
+    }
+
+    // Evenly spaced samples along a polyline (including the start)
+    static samplesAlong(pts, step) {
+        const L = Stroke.cumulativeLengths(pts), total = L[L.length - 1];
+        const out = [];
+        for (let d = 0; d <= total; d += step) out.push(Stroke.pointAtLength(pts, L, d));
+        return out;
+    }
+
+    // Flat nib: the pen edge keeps a fixed angle, so width depends on the direction of travel
+    static drawNib(p, pts, thickness, angleDeg) {
+        const a = (angleDeg * Math.PI) / 180;
+        const ux = Math.cos(a), uy = Math.sin(a);
+        p.beginShape();
+        for (const q of pts) {
+            const hw = Math.max(0.5, thickness * (q.w ?? 1) / 2);
+            p.vertex(q.x + ux * hw, q.y + uy * hw);
+        }
+        for (let i = pts.length - 1; i >= 0; i--) {
+            const q = pts[i], hw = Math.max(0.5, thickness * (q.w ?? 1) / 2);
+            p.vertex(q.x - ux * hw, q.y - uy * hw);
+        }
+        p.endShape(p.CLOSE);
+    }
+
+    // True when any point has a width factor other than 1
+    static hasVariableWidth(points) {
+        if (!Array.isArray(points)) return false;
+        for (const pt of points) {
+            if (pt.w != null && Math.abs(pt.w - 1) > 1e-3) return true;
+        }
+        return false;
+    }
+
+    // Catmull-Rom subdivision so the ribbon follows the same curve as curveVertex
+    static smoothPoints(points) {
+        const n = points.length;
+        if (n < 3) return points.slice();
+        const out = [];
+        for (let i = 0; i < n - 1; i++) {
+            const p0 = points[Math.max(0, i - 1)], p1 = points[i];
+            const p2 = points[i + 1], p3 = points[Math.min(n - 1, i + 2)];
+            const len = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+            const steps = Math.max(1, Math.min(6, Math.ceil(len / 6)));
+            for (let k = 0; k < steps; k++) {
+                const t = k / steps, t2 = t * t, t3 = t2 * t;
+                const cr = (a, b, c, d) =>
+                    0.5 * ((2 * b) + (-a + c) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (-a + 3 * b - 3 * c + d) * t3);
+                out.push({
+                    x: cr(p0.x, p1.x, p2.x, p3.x),
+                    y: cr(p0.y, p1.y, p2.y, p3.y),
+                    w: (p1.w ?? 1) + ((p2.w ?? 1) - (p1.w ?? 1)) * t,
+                });
+            }
+        }
+        out.push({ ...points[n - 1], w: points[n - 1].w ?? 1 });
+        return out;
+    }
+
+    // Draws a closed outline around the centerline: left side, end cap, right side back, start cap
+    // Uses the current fill; half width at each point is thickness * w / 2
+    static drawRibbon(p, points, thickness, smooth = true) {
+        const pts = smooth ? Stroke.smoothPoints(points) : points;
+        const n = pts.length;
+        if (n < 2) return;
+
+        const left = [], right = [], hws = [];
+        for (let i = 0; i < n; i++) {
+            const a = pts[Math.max(0, i - 1)], b = pts[Math.min(n - 1, i + 1)];
+            const tx = b.x - a.x, ty = b.y - a.y;
+            const len = Math.hypot(tx, ty) || 1;
+            const nx = -ty / len, ny = tx / len;
+            const hw = Math.max(0.25, thickness * (pts[i].w ?? 1) / 2);
+            hws.push(hw);
+            left.push({ x: pts[i].x + nx * hw, y: pts[i].y + ny * hw });
+            right.push({ x: pts[i].x - nx * hw, y: pts[i].y - ny * hw });
+        }
+
+        const endA = Math.atan2(pts[n - 1].y - pts[n - 2].y, pts[n - 1].x - pts[n - 2].x);
+        const startA = Math.atan2(pts[1].y - pts[0].y, pts[1].x - pts[0].x);
+        const CAP = 8;
+
+        p.beginShape();
+        for (const q of left) p.vertex(q.x, q.y);
+        // Round end cap: from the left side, around the tip, to the right side
+        for (let k = 1; k < CAP; k++) {
+            const a = endA + Math.PI / 2 - (Math.PI * k) / CAP;
+            p.vertex(pts[n - 1].x + Math.cos(a) * hws[n - 1], pts[n - 1].y + Math.sin(a) * hws[n - 1]);
+        }
+        for (let i = n - 1; i >= 0; i--) p.vertex(right[i].x, right[i].y);
+        // Round start cap
+        for (let k = 1; k < CAP; k++) {
+            const a = startA - Math.PI / 2 - (Math.PI * k) / CAP;
+            p.vertex(pts[0].x + Math.cos(a) * hws[0], pts[0].y + Math.sin(a) * hws[0]);
+        }
+        p.endShape(p.CLOSE);
+    }
 }
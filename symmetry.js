@@ -1,10 +1,163 @@
 /* symmetry.js
-   - Defines 180 degree rotational, 4-way rotational, mirrored, radial, dihedral, spiral, kaleidoscopic, and fractal symmetry
+   - Defines 180 degree rotational, 4-way rotational, mirrored (vertical, horizontal, four-quadrant, diagonal, or user-drawn lines), radial, dihedral, spiral, kaleidoscopic, and fractal symmetry
+   - Clones stay linked: each one stores the affine matrix that maps the shared source shape onto it,
+       so an edit to any instance can be carried to its siblings (inverse of its matrix, then each sibling's)
+   - The symmetry center can be dragged anywhere in the box (and is kept inside it on resize), and mirror axes can be
+       turned by a rotation offset
+   - Wallpaper mode repeats strokes over the whole box with one of the 17 plane groups (tiling.js); the center is the lattice origin
+   - Mandala mode splits the box into concentric rings, each with its own N and mirror setting; the ring under the
+       pointer where a stroke starts supplies its transforms
+   - Clones can vary in style: hue shifted along the clone order, brightness or opacity fading with spiral/fractal
+       depth, and thickness following each clone's scale; the varied values are set on the strokes themselves
+   - Logarithmic spiral and golden-angle phyllotaxis modes place copies along continuous spirals (a constant turn
+       and scale per copy, or a constant turn with square-root radius growth)
+   - Recursive fractal mode nests copies: each branch is scaled, turned, and pushed outward from its parent, level by level
+   - Custom symmetries (custom_symmetry.js): the editor's draft, or a saved preset, supplies the transforms
+   - Optional guides show where the copies fall: rotation spokes, mirror axes, spiral/fractal scale rings, and tiling lattices
+       (the same spokes set the polar snapping divisions in snap.js)
+   - Frieze mode repeats strokes along a horizontal or vertical band with one of the 7 frieze groups;
+       the band position sets the band's axis and the center sets the phase along it
 */
 
 (function () {
   // Math Helpers
-  function boxCenter(BOX) { return { cx: BOX.x + BOX.w / 2, cy: BOX.y + BOX.h / 2 }; }
+  // Symmetry center: the dragged pivot if set, otherwise the middle of the box
+  function boxCenter(BOX) {
+    if (Symmetry.center) return { cx: Symmetry.center.x, cy: Symmetry.center.y };
+    return { cx: BOX.x + BOX.w / 2, cy: BOX.y + BOX.h / 2 };
+  }
+  // N rotations, each followed by its mirror when mirrors are on
+  // The k mirror axes of D_k are half a rotation step apart (pi*i/k); axes a full step apart would repeat for even k
+  function dihedral(cx, cy, k, mirrors) {
+    const off = offsetRad();
+    const out = [];
+    for (let i = 0; i < k; i++) {
+      const ang = (2 * Math.PI * i) / k;
+      out.push((x, y) => rotateAbout(x, y, cx, cy, ang));         // rotation
+      if (mirrors) {
+        out.push((x, y) => reflectAboutAngle(x, y, cx, cy, ang / 2 + off)); // mirror
+      }
+    }
+    return out;
+  }
+
+  // Mandala rings, inner to outer, by outer radius (px); points past the last boundary belong to the last ring
+  let ringIdx = 0;   // ring being edited
+
+  function ringAt(BOX, at) {
+    const rings = Symmetry.mandalaRings;
+    if (!at) return rings[0];
+    const { cx, cy } = boxCenter(BOX);
+    const d = Math.hypot(at.x - cx, at.y - cy);
+    return rings.find(r => d <= r.r) || rings[rings.length - 1];
+  }
+
+  function currentRing() {
+    ringIdx = Math.max(0, Math.min(Symmetry.mandalaRings.length - 1, ringIdx));
+    return Symmetry.mandalaRings[ringIdx];
+  }
+
+  // Ring snapshots for undo (adding, removing, and editing rings are undoable like center drags)
+  let ringsBefore = null;   // rings when the current N or Radius drag started
+
+  function getRings() {
+    return { rings: Symmetry.mandalaRings.map(r => ({ ...r })), idx: ringIdx };
+  }
+
+  function setRings(state) {
+    Symmetry.mandalaRings = state.rings.map(r => ({ ...r }));
+    ringIdx = state.idx;
+    syncRingControls();
+    updateControlsVisibility();
+  }
+
+  function recordRings(label) {
+    if (ringsBefore) recordSetting(label, getRings, setRings, ringsBefore);
+    ringsBefore = null;
+  }
+
+  // Copies kept by every generated mode (recursive fractal, spirals, tilings), so live drawing stays responsive
+  const MAX_CLONES = 400;
+
+  // Recursive fractal: branch i maps the drawing to c + d*u_i + R(angle_i + twist) * s * (p - c), and every level
+  // applies the branches again inside each copy of the level before. Levels stop at MAX_IFS_DEPTH or when the next
+  // one would pass MAX_CLONES, so a level is never cut off halfway
+  const MAX_IFS_DEPTH = 6;
+
+  function ifsMatrices(cx, cy) {
+    const B = Math.max(2, Math.floor(Symmetry.N || 3));
+    const s = Math.min(1.0, Math.max(0.4, Number(Symmetry.scaleStep || 0.5)));
+    const d = Math.max(0, Number(Symmetry.ifsDistance) || 0);
+    const twist = (Number(Symmetry.ifsTwist) || 0) * Math.PI / 180;
+    const branches = [];
+    for (let i = 0; i < B; i++) {
+      const ang = (2 * Math.PI * i) / B;
+      const r = ang + twist, ca = Math.cos(r) * s, sa = Math.sin(r) * s;
+      const ox = cx + d * Math.cos(ang), oy = cy + d * Math.sin(ang);
+      branches.push({ a: ca, b: sa, c: -sa, d: ca, e: ox - (ca * cx - sa * cy), f: oy - (sa * cx + ca * cy) });
+    }
+    const out = [{ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }];
+    let level = [out[0]];
+    for (let depth = 1; depth <= MAX_IFS_DEPTH; depth++) {
+      if (out.length + level.length * B > MAX_CLONES) break;
+      level = level.flatMap(parent => branches.map(br => composeMatrices(parent, br)));
+      out.push(...level);
+    }
+    return out;
+  }
+
+  // Continuous spirals
+  // Log spiral: copy i turns by i*angle and scales by growth^i about the center, then drifts i*drift px along x;
+  // copies stop once they would be vanishingly small or far larger than the box
+  // Phyllotaxis: copy i turns by i*angle (137.5° is the golden angle) and moves out to radius growth*sqrt(i),
+  // like the seeds of a sunflower head
+  const SPIRAL_SCALE_RANGE = [0.01, 40];
+
+  function spiralMatrix(cx, cy, ang, s, tx, ty) {
+    const ca = Math.cos(ang) * s, sa = Math.sin(ang) * s;
+    return { a: ca, b: sa, c: -sa, d: ca, e: cx - (ca * cx - sa * cy) + tx, f: cy - (sa * cx + ca * cy) + ty };
+  }
+
+  function logSpiralMatrices(cx, cy) {
+    const o = Symmetry.logSpiral;
+    const count = Math.max(2, Math.min(MAX_CLONES, Math.floor(o.count || 30)));
+    const step = (Number(o.angle) || 0) * Math.PI / 180;
+    const g = Math.max(0.5, Math.min(1.5, Number(o.growth) || 1));
+    const drift = Number(o.drift) || 0;
+    const out = [];
+    for (let i = 0; i < count; i++) {
+      const sc = Math.pow(g, i);
+      if (sc < SPIRAL_SCALE_RANGE[0] || sc > SPIRAL_SCALE_RANGE[1]) break;
+      out.push(spiralMatrix(cx, cy, i * step, sc, i * drift, 0));
+    }
+    return out;
+  }
+
+  function phyllotaxisMatrices(cx, cy) {
+    const o = Symmetry.phyllotaxis;
+    const count = Math.max(2, Math.min(MAX_CLONES, Math.floor(o.count || 200)));
+    const step = (Number(o.angle) || 0) * Math.PI / 180;
+    const c = Math.max(0, Number(o.growth) || 0);
+    const out = [];
+    for (let i = 0; i < count; i++) {
+      const ang = i * step, r = c * Math.sqrt(i);
+      out.push(spiralMatrix(cx, cy, ang, 1, r * Math.cos(ang), r * Math.sin(ang)));
+    }
+    return out;
+  }
+
+  // Name of the selected custom preset, if any
+  function presetName() {
+    return String(Symmetry.mode).startsWith('preset:') ? Symmetry.mode.slice(7) : null;
+  }
+
+  // Frieze band origin: the center's position along the band, the band position across it
+  function bandOrigin(BOX) {
+    const { cx, cy } = boxCenter(BOX);
+    const t = Math.max(0, Math.min(100, Number(Symmetry.bandPos) || 0)) / 100;
+    return Symmetry.bandVertical ? { x: BOX.x + BOX.w * t, y: cy } : { x: cx, y: BOX.y + BOX.h * t };
+  }
+  function offsetRad() { return (Number(Symmetry.angleOffset) || 0) * Math.PI / 180; }
 
   function rotateAbout(x, y, cx, cy, a) {
     const dx = x - cx, dy = y - cy;
@@ -27,7 +180,8 @@
   }
 
   // Transform builder
-  function getSymmetryTransforms(mode, BOX) {
+  // at: the pointer, for modes whose transforms depend on where drawing happens (mandala rings)
+  function getSymmetryTransforms(mode, BOX, at = null) {
     const { cx, cy } = boxCenter(BOX);
 
     switch (mode) {
@@ -55,6 +209,31 @@
         ];
       }
 
+      case 'mirrorH':
+        return [
+          (x, y) => ({ x, y }),
+          (x, y) => ({ x, y: 2 * cy - y }),
+        ];
+
+      // Both axes: the two mirrors plus the half turn they make together
+      case 'mirrorQuad':
+        return [
+          (x, y) => ({ x, y }),
+          (x, y) => ({ x: 2 * cx - x, y }),
+          (x, y) => ({ x, y: 2 * cy - y }),
+          (x, y) => ({ x: 2 * cx - x, y: 2 * cy - y }),
+        ];
+
+      case 'mirrorDiag':
+        return [
+          (x, y) => ({ x, y }),
+          (x, y) => reflectAboutAngle(x, y, cx, cy, Math.PI / 4),
+        ];
+
+      // User-drawn mirror lines and every combination of them
+      case 'mirrorLines':
+        return mirrorGroup(BOX).map(m => (x, y) => applyMatrix(m, x, y));
+
       // N-based
       case 'radialN': {
         const N = Math.max(2, Math.floor(Symmetry.N || 10));
@@ -66,17 +245,13 @@
         return out;
       }
 
-      case 'dihedralN': {
-        const k = Math.max(2, Math.floor(Symmetry.N || 8));
-        const out = [];
-        for (let i = 0; i < k; i++) {
-          const ang = (2 * Math.PI * i) / k;
-          out.push((x, y) => rotateAbout(x, y, cx, cy, ang));         // rotation
-          if (Symmetry.useMirrors) {
-            out.push((x, y) => reflectAboutAngle(x, y, cx, cy, ang)); // mirror
-          }
-        }
-        return out;
+      case 'dihedralN':
+        return dihedral(cx, cy, Math.max(2, Math.floor(Symmetry.N || 8)), Symmetry.useMirrors);
+
+      // Mandala: the ring containing the pointer
+      case 'mandala': {
+        const ring = ringAt(BOX, at);
+        return dihedral(cx, cy, Math.max(2, Math.floor(ring.n || 6)), ring.mirror);
       }
 
       case 'spiralN': {
@@ -94,16 +269,24 @@
         return out;
       }
 
+      // Continuous log spiral and golden-angle phyllotaxis
+      case 'logSpiral':
+        return generatedCopies(mode, BOX).transforms;
+
+      case 'phyllotaxis':
+        return generatedCopies(mode, BOX).transforms;
+
       // Kaleidoscopic N 
       case 'kaleidoN': {
         const N = Math.max(2, Math.floor(Symmetry.N || 8));
+        const off = offsetRad();
         const out = [];
         for (let i = 0; i < N; i++) {
           const ang = (2 * Math.PI * i) / N;
           out.push((x, y) => rotateAbout(x, y, cx, cy, ang));
           if (Symmetry.useMirrors) {
             // Mirror around a mid-axis for denser shards
-            out.push((x, y) => reflectAboutAngle(x, y, cx, cy, ang + Math.PI / (2 * N)));
+            out.push((x, y) => reflectAboutAngle(x, y, cx, cy, ang + off + Math.PI / (2 * N)));
           }
         }
         return out;
@@ -128,15 +311,596 @@
         return out;
       }
 
-      default:
+      // Recursive (IFS) fractal
+      case 'ifsN':
+        return generatedCopies(mode, BOX).transforms;
+
+      // Wallpaper group tiling over the whole box
+      case 'wallpaper':
+        return generatedCopies(mode, BOX).transforms;
+
+      // Frieze band repeating along one direction
+      case 'frieze':
+        return generatedCopies(mode, BOX).transforms;
+
+      // Editor draft
+      case 'custom':
+        return CustomSymmetry.matrices(CustomSymmetry.draft().transforms, cx, cy).map(m => (x, y) => applyMatrix(m, x, y));
+
+      default: {
+        // Saved custom preset
+        const preset = presetName() && CustomSymmetry.get(presetName());
+        if (preset) return CustomSymmetry.matrices(preset.transforms, cx, cy).map(m => (x, y) => applyMatrix(m, x, y));
         return [(x, y) => ({ x, y })];
+      }
     }
   }
 
-  // Stroke clone builder
-  function buildClones(style, BOX) {
-    const transforms = getSymmetryTransforms(Symmetry.mode, BOX);
-    return transforms.map(() => new Stroke(color(style.h, style.s, style.b, style.a), style.thickness, style.a, false));
+  // getTransforms runs on every drag event and frame, and the guides every frame; the generated modes keep their
+  // matrices and transforms until an input changes
+  const copyCache = new Map();   // mode -> { key, matrices, transforms }
+
+  function generatedCopies(mode, BOX) {
+    const { cx, cy } = boxCenter(BOX);
+    const box = [BOX.x, BOX.y, BOX.w, BOX.h];
+    switch (mode) {
+      case 'ifsN':
+        return cachedCopies(mode, [Symmetry.N, Symmetry.scaleStep, Symmetry.ifsDistance, Symmetry.ifsTwist, cx, cy],
+          () => ifsMatrices(cx, cy));
+      case 'logSpiral': {
+        const o = Symmetry.logSpiral;
+        return cachedCopies(mode, [o.count, o.angle, o.growth, o.drift, cx, cy], () => logSpiralMatrices(cx, cy));
+      }
+      case 'phyllotaxis': {
+        const o = Symmetry.phyllotaxis;
+        return cachedCopies(mode, [o.count, o.angle, o.growth, cx, cy], () => phyllotaxisMatrices(cx, cy));
+      }
+      case 'wallpaper':
+        return cachedCopies(mode, [Symmetry.wallpaperGroup, cx, cy, Symmetry.cellSize, ...box],
+          () => Tiling.wallpaperMatrices(Symmetry.wallpaperGroup, { x: cx, y: cy }, Symmetry.cellSize, BOX, MAX_CLONES));
+      case 'frieze': {
+        const o = bandOrigin(BOX);
+        return cachedCopies(mode, [Symmetry.friezeGroup, o.x, o.y, Symmetry.friezePeriod, Symmetry.bandVertical, ...box],
+          () => Tiling.friezeMatrices(Symmetry.friezeGroup, o, Symmetry.friezePeriod, Symmetry.bandVertical, BOX, MAX_CLONES));
+      }
+    }
+  }
+
+  function cachedCopies(mode, inputs, build) {
+    const key = inputs.join('|');
+    const hit = copyCache.get(mode);
+    if (hit && hit.key === key) return hit;
+    const matrices = build();
+    const entry = { key, matrices, transforms: matrices.map(m => (x, y) => applyMatrix(m, x, y)) };
+    copyCache.set(mode, entry);
+    return entry;
+  }
+
+  // Affine matrices {a, b, c, d, e, f}: x' = a*x + c*y + e, y' = b*x + d*y + f
+  // Every symmetry transform is affine, so its matrix can be read off three sample points
+  function matrixOf(t) {
+    const o = t(0, 0), px = t(1, 0), py = t(0, 1);
+    return { a: px.x - o.x, b: px.y - o.y, c: py.x - o.x, d: py.y - o.y, e: o.x, f: o.y };
+  }
+
+  function invertMatrix(m) {
+    const det = m.a * m.d - m.b * m.c || 1e-12;
+    const a = m.d / det, b = -m.b / det, c = -m.c / det, d = m.a / det;
+    return { a, b, c, d, e: -(a * m.e + c * m.f), f: -(b * m.e + d * m.f) };
+  }
+
+  // m1 after m2
+  function composeMatrices(m1, m2) {
+    return {
+      a: m1.a * m2.a + m1.c * m2.b, b: m1.b * m2.a + m1.d * m2.b,
+      c: m1.a * m2.c + m1.c * m2.d, d: m1.b * m2.c + m1.d * m2.d,
+      e: m1.a * m2.e + m1.c * m2.f + m1.e, f: m1.b * m2.e + m1.d * m2.f + m1.f,
+    };
+  }
+
+  function applyMatrix(m, x, y) { return { x: m.a * x + m.c * y + m.e, y: m.b * x + m.d * y + m.f }; }
+
+  // Direction (degrees) carried through the linear part of m
+  function turnAngle(m, deg) {
+    const r = deg * Math.PI / 180;
+    const ux = m.a * Math.cos(r) + m.c * Math.sin(r), uy = m.b * Math.cos(r) + m.d * Math.sin(r);
+    return (ux || uy) ? Math.atan2(uy, ux) * 180 / Math.PI : deg;
+  }
+
+  let linkSeq = 0;
+
+  // Stroke clone builder (style.extra carries brush style fields and gradient stops)
+  // With more than one transform, the clones share a link id and each keeps its transform's matrix and its
+  // style variation (hue shift and brightness, opacity, and width factors)
+  function buildClones(style, BOX, at = null) {
+    const transforms = getSymmetryTransforms(Symmetry.mode, BOX, at);
+    const id = transforms.length > 1 ? `l${Date.now().toString(36)}${(linkSeq++).toString(36)}` : null;
+    return transforms.map((t, i) => {
+      const m = matrixOf(t);
+      const v = cloneVariation(i, transforms.length, m, style);
+      const s = new Stroke(color(v.h, style.s, v.b, v.a), v.thickness, v.a, false);
+      if (style.extra) Object.assign(s, style.extra);
+      if (Array.isArray(s.stops)) {
+        s.stops = s.stops.map(st => ({ ...st, h: (st.h + v.hueShift + 360) % 360, b: st.b * v.bFactor }));
+      }
+      s.link = id ? { id, m, vary: { hue: v.hueShift, b: v.bFactor, a: v.aFactor, w: v.wFactor } } : null;
+      return s;
+    });
+  }
+
+  // Per-clone style: hue shifted by the clone's place in the order, brightness or opacity faded per depth level
+  // (the number of scaleStep shrinks in its matrix; the growth step for a shrinking log spiral), and thickness
+  // times its scale
+  const DEPTH_MODES = ['spiralN', 'fractalN', 'ifsN', 'logSpiral'];
+
+  function cloneVariation(i, count, m, style) {
+    const vary = Symmetry.variation;
+    const scale = Math.sqrt(Math.abs(m.a * m.d - m.b * m.c)) || 1;
+    const step = Number(Symmetry.mode === 'logSpiral' ? Symmetry.logSpiral.growth : Symmetry.scaleStep) || 1;
+    const depth = (DEPTH_MODES.includes(Symmetry.mode) && step < 1 && scale < 1)
+      ? Math.max(0, Math.round(Math.log(scale) / Math.log(step))) : 0;
+    const fade = Math.pow(1 - Math.max(0, Math.min(100, Number(vary.fade) || 0)) / 100, depth);
+    const hueShift = count > 1 ? ((Number(vary.hueSpread) || 0) * i) / count : 0;
+    const bFactor = vary.fadeTarget === 'brightness' ? fade : 1;
+    const aFactor = vary.fadeTarget === 'opacity' ? fade : 1;
+    const wFactor = vary.scaleThickness ? scale : 1;
+    return {
+      hueShift,
+      bFactor,
+      aFactor,
+      wFactor,
+      h: (style.h + hueShift + 360) % 360,
+      b: style.b * bFactor,
+      a: style.a * aFactor,
+      thickness: varyWidth(style.thickness, wFactor),
+    };
+  }
+
+  function varyWidth(thickness, f) { return f === 1 ? thickness : Math.max(0.5, thickness * f); }
+
+  // Copies of existing strokes through the current transforms (Symmetrize). Each source's copies share a link,
+  // in transform order; withIdentity keeps the copy that lands on the source itself (without it, the caller links
+  // the source into the group with the identity matrix)
+  function symmetrize(list, BOX, withIdentity = true) {
+    return list.map((src) => {
+      // (a mandala copies each stroke by the ring it starts in)
+      const transforms = getSymmetryTransforms(Symmetry.mode, BOX, src.points[0] || null);
+      if (transforms.length < 2) return [];
+      const id = `l${Date.now().toString(36)}${(linkSeq++).toString(36)}`;
+      const out = [];
+      transforms.forEach((t, i) => {
+        if (i === 0 && !withIdentity) return;
+        const m = matrixOf(t);
+        const s = src.cloneStyle();
+        s.points = src.points.map(p => ({ ...p, ...applyMatrix(m, p.x, p.y) }));
+        if (typeof src.nibAngle === 'number') s.nibAngle = turnAngle(m, src.nibAngle);
+        s.link = { id, m };
+        out.push(s);
+      });
+      return out;
+    });
+  }
+
+  // Linked instances
+  function siblingsOf(strokes, s) {
+    if (!s?.link) return [];
+    return strokes.filter(o => o !== s && o.link?.id === s.link.id);
+  }
+
+  // The given strokes plus every stroke linked to one of them (for undo snapshots)
+  function linkedWith(strokes, list) {
+    const ids = new Set(list.filter(s => s?.link).map(s => s.link.id));
+    const out = list.slice();
+    if (!ids.size) return out;
+    for (const s of strokes) if (s.link && ids.has(s.link.id) && !out.includes(s)) out.push(s);
+    return out;
+  }
+
+  // Carry the shape of edited instances to their siblings: back to source space, then out through each sibling's matrix
+  // Link groups whose members were all edited together (e.g. a whole motif moved) are left as they are
+  function propagate(strokes, edited) {
+    const done = new Set();
+    for (const src of edited) {
+      if (!src?.link || done.has(src.link.id)) continue;
+      done.add(src.link.id);
+      const sibs = siblingsOf(strokes, src);
+      if (!sibs.length || sibs.every(s => edited.includes(s))) continue;
+      const inv = invertMatrix(src.link.m);
+      const base = src.points.map(p => ({ ...p, ...applyMatrix(inv, p.x, p.y) }));
+      for (const s of sibs) {
+        s.points = base.map(p => ({ ...p, ...applyMatrix(s.link.m, p.x, p.y) }));
+        s.closed = src.closed;
+      }
+    }
+  }
+
+  const LINKED_STYLE = ['eraser', 'closed', 'fillCol', 'fillOpacity', 'brush', 'dashLen', 'gapLen', 'sharp'];
+  const LINKED_FILL = ['closed', 'fillCol', 'fillOpacity'];
+  const NO_VARIATION = { hue: 0, b: 1, a: 1, w: 1 };
+
+  // Copy an edited instance's style to its siblings. Color, opacity, width, and gradient stops go back through the
+  // instance's own variation and out through each sibling's, so hue spreads, fades, and scaled widths survive;
+  // nib angles turn with each sibling's transform. With fill set, only the fill is copied
+  function propagateStyle(strokes, edited, { fill = false } = {}) {
+    // (a fully faded instance keeps no trace of the shared value, so it is taken as it is)
+    const unvary = (x, f) => (f > 0 ? x / f : x);
+    for (const src of edited) {
+      if (!src?.link) continue;
+      const sibs = siblingsOf(strokes, src);
+      if (fill) {
+        for (const s of sibs) for (const k of LINKED_FILL) s[k] = src[k];
+        continue;
+      }
+      const v0 = src.link.vary || NO_VARIATION;
+      const h = hue(src.col) - v0.hue, sat = saturation(src.col), b = unvary(brightness(src.col), v0.b);
+      const a = unvary(src.opacity, v0.a), thickness = unvary(src.thickness, v0.w);
+      const stops = Array.isArray(src.stops) ? src.stops.map(st => ({ ...st, h: st.h - v0.hue, b: unvary(st.b, v0.b) })) : null;
+      const nib = turnAngle(invertMatrix(src.link.m), src.nibAngle);
+      for (const s of sibs) {
+        const v = s.link.vary || NO_VARIATION;
+        for (const k of LINKED_STYLE) s[k] = src[k];
+        s.opacity = a * v.a;
+        s.col = color((h + v.hue + 720) % 360, sat, b * v.b, s.opacity);
+        s.thickness = varyWidth(thickness, v.w);
+        s.stops = stops ? stops.map(st => ({ ...st, h: (st.h + v.hue + 720) % 360, b: st.b * v.b })) : null;
+        s.nibAngle = turnAngle(s.link.m, nib);
+      }
+    }
+  }
+
+  // After the same transform m was applied to every member of a link group, fold m into their matrices
+  function relink(strokes, edited, m) {
+    const ids = new Set(edited.filter(s => s?.link).map(s => s.link.id));
+    for (const id of ids) {
+      const members = strokes.filter(s => s.link?.id === id);
+      if (!members.every(s => edited.includes(s))) continue;
+      for (const s of members) s.link = { ...s.link, m: composeMatrices(m, s.link.m) };
+    }
+  }
+
+  function unlink(list) {
+    for (const s of list) if (s) s.link = null;
+  }
+
+  // User-drawn mirror lines
+  const MAX_MIRROR_COPIES = 64;
+  let mirrorDraft = null;   // line being dragged out
+
+  function reflectionMatrix(l) {
+    const theta = Math.atan2(l.y2 - l.y1, l.x2 - l.x1);
+    return matrixOf((x, y) => reflectAboutAngle(x, y, l.x1, l.y1, theta));
+  }
+
+  // The group the mirror lines generate (breadth-first products of the reflections), identity first.
+  // Lines that don't meet at a rational angle generate endless copies, so only copies that can reach the box are
+  // kept, up to a cap
+  function mirrorGroup(BOX) {
+    const gens = Symmetry.mirrorLines.filter(l => Math.hypot(l.x2 - l.x1, l.y2 - l.y1) > 1).map(reflectionMatrix);
+    const id = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+    const mid = { x: BOX.x + BOX.w / 2, y: BOX.y + BOX.h / 2 };
+    const reach = Math.hypot(BOX.w, BOX.h);
+    const same = (p, q) => ['a', 'b', 'c', 'd'].every(k => Math.abs(p[k] - q[k]) < 1e-6)
+      && Math.abs(p.e - q.e) < 0.5 && Math.abs(p.f - q.f) < 0.5;
+    const out = [id], queue = [id];
+    while (queue.length && out.length < MAX_MIRROR_COPIES) {
+      const m = queue.shift();
+      for (const g of gens) {
+        const n = composeMatrices(g, m);
+        const p = applyMatrix(n, mid.x, mid.y);
+        if (Math.hypot(p.x - mid.x, p.y - mid.y) > reach) continue;
+        if (out.some(o => same(o, n))) continue;
+        out.push(n); queue.push(n);
+        if (out.length >= MAX_MIRROR_COPIES) break;
+      }
+    }
+    return out;
+  }
+
+  // Placing a line: arm with the Line button, then drag in the box
+  function isPlacingMirror() { return Symmetry.mode === 'mirrorLines' && (Symmetry.placingMirror || !!mirrorDraft); }
+
+  function beginMirrorLine(x, y) {
+    mirrorDraft = { x1: x, y1: y, x2: x, y2: y };
+  }
+
+  // Both return false when no line is being dragged
+  function dragMirrorLine(x, y) {
+    if (!mirrorDraft) return false;
+    mirrorDraft.x2 = x; mirrorDraft.y2 = y;
+    return true;
+  }
+
+  function endMirrorLine() {
+    if (!mirrorDraft) return false;
+    if (Math.hypot(mirrorDraft.x2 - mirrorDraft.x1, mirrorDraft.y2 - mirrorDraft.y1) > 5) {
+      const before = getOrigin();
+      Symmetry.mirrorLines = Symmetry.mirrorLines.concat([mirrorDraft]);
+      recordSetting('Add mirror line', getOrigin, setOrigin, before);
+    }
+    mirrorDraft = null;
+    setPlacingMirror(false);
+    return true;
+  }
+
+  function setPlacingMirror(on) {
+    Symmetry.placingMirror = !!on;
+    if (ui.lineButton) ui.lineButton.style('background', on ? '#EEF2FF' : '#fff');
+  }
+
+  function clearMirrorLines() {
+    const before = getOrigin();
+    Symmetry.mirrorLines = [];
+    recordSetting('Clear mirror lines', getOrigin, setOrigin, before);
+    mirrorDraft = null;
+    setPlacingMirror(false);
+  }
+
+  // Mirror lines run across the whole box; their dragged endpoints are marked
+  function drawMirrorLines(BOX) {
+    if (Symmetry.mode !== 'mirrorLines') return;
+    const lines = mirrorDraft ? Symmetry.mirrorLines.concat([mirrorDraft]) : Symmetry.mirrorLines;
+    const reach = Math.hypot(BOX.w, BOX.h) * 2;
+    push();
+    for (const l of lines) {
+      const len = Math.hypot(l.x2 - l.x1, l.y2 - l.y1);
+      if (len < 1) continue;
+      const ux = (l.x2 - l.x1) / len, uy = (l.y2 - l.y1) / len;
+      stroke('#F97316'); strokeWeight(1.5);
+      drawingContext.setLineDash([6, 4]);
+      line(l.x1 - ux * reach, l.y1 - uy * reach, l.x1 + ux * reach, l.y1 + uy * reach);
+      drawingContext.setLineDash([]);
+      fill('#F97316'); noStroke();
+      circle(l.x1, l.y1, 6); circle(l.x2, l.y2, 6);
+    }
+    pop();
+  }
+
+  // Center handle
+  // The rotation offset only turns mirror axes, so it applies to the modes with mirrors while those are on
+  function offsetApplies() {
+    const mode = Symmetry.mode;
+    if (mode === 'dihedralN' || mode === 'kaleidoN') return !!Symmetry.useMirrors;
+    if (mode === 'mandala') return Symmetry.mandalaRings.some(r => r.mirror);
+    return false;
+  }
+  const HANDLE_R = 7;
+  const SNAP_PX = 8;
+
+  function centerOf(BOX) {
+    if (Symmetry.mode === 'frieze') return bandOrigin(BOX);
+    const { cx, cy } = boxCenter(BOX);
+    return { x: cx, y: cy };
+  }
+
+  // Keep a dragged center inside the box after the box is resized
+  function clampCenter(BOX) {
+    if (!Symmetry.center) return;
+    Symmetry.center = {
+      x: Math.max(BOX.x, Math.min(BOX.x + BOX.w, Symmetry.center.x)),
+      y: Math.max(BOX.y, Math.min(BOX.y + BOX.h, Symmetry.center.y)),
+    };
+  }
+
+  // Move the center; dropping it near the middle of the box goes back to following the box
+  function setCenter(x, y, BOX) {
+    const mid = { x: BOX.x + BOX.w / 2, y: BOX.y + BOX.h / 2 };
+    Symmetry.center = Math.hypot(x - mid.x, y - mid.y) <= SNAP_PX ? null : { x, y };
+    // In frieze mode the handle also carries the band across the box
+    if (Symmetry.mode === 'frieze') {
+      const t = Symmetry.bandVertical ? (x - BOX.x) / BOX.w : (y - BOX.y) / BOX.h;
+      setBandPos(Math.round(Math.max(0, Math.min(1, t)) * 100));
+    }
+  }
+
+  function setBandPos(v) {
+    Symmetry.bandPos = v;
+    if (ui.bandSlider) ui.bandSlider.value(v);
+    if (ui.bandBadge) ui.bandBadge.html('&nbsp;' + v + '%&nbsp;');
+  }
+
+  function hitCenterHandle(x, y, BOX) {
+    if (Symmetry.mode === 'none' || Symmetry.mode === 'mirrorLines') return false;
+    const c = centerOf(BOX);
+    return Math.hypot(x - c.x, y - c.y) <= HANDLE_R + 4;
+  }
+
+  // Crosshair at the center; modes whose mirrors follow the offset also show its direction
+  function drawCenterHandle(BOX) {
+    if (Symmetry.mode === 'none' || Symmetry.mode === 'mirrorLines') return;
+    const c = centerOf(BOX);
+    push();
+    noFill(); stroke('#F97316'); strokeWeight(1.5);
+    circle(c.x, c.y, HANDLE_R * 2);
+    line(c.x - HANDLE_R - 4, c.y, c.x + HANDLE_R + 4, c.y);
+    line(c.x, c.y - HANDLE_R - 4, c.x, c.y + HANDLE_R + 4);
+    if (offsetApplies()) {
+      const a = offsetRad();
+      strokeWeight(2);
+      line(c.x, c.y, c.x + Math.cos(a) * 26, c.y + Math.sin(a) * 26);
+    }
+    pop();
+  }
+
+  // Guides
+  // Spokes (ray angles), mirror axes (line angles), and scale rings (radii) for the point symmetries
+  function guideShapes(BOX) {
+    const mode = Symmetry.mode;
+    const N = Math.max(2, Math.floor(Symmetry.N || 8));
+    const off = offsetRad();
+    const R0 = Math.min(BOX.w, BOX.h) / 2;
+    const out = { spokes: [], mirrors: [], rings: [], points: [] };
+    const spokes = (n, a0 = 0) => { for (let i = 0; i < n; i++) out.spokes.push(a0 + (2 * Math.PI * i) / n); };
+
+    switch (mode) {
+      case 'rot180': spokes(2); break;
+      case 'rot4': spokes(4); break;
+      case 'mirrorV': out.mirrors.push(Math.PI / 2); break;
+      case 'mirrorH': out.mirrors.push(0); break;
+      case 'mirrorQuad': out.mirrors.push(0, Math.PI / 2); break;
+      case 'mirrorDiag': out.mirrors.push(Math.PI / 4); break;
+      case 'radialN': spokes(N); break;
+      case 'dihedralN':
+      case 'kaleidoN': {
+        // Rotations stay at angle 0; only the mirror axes turn with the offset
+        // (dihedral axes are pi/N apart, kaleidoscope axes 2*pi/N apart through the shard middles)
+        const step = (mode === 'kaleidoN') ? 2 * Math.PI / N : Math.PI / N;
+        const shift = (mode === 'kaleidoN') ? Math.PI / (2 * N) : 0;
+        spokes(N);
+        if (Symmetry.useMirrors) for (let i = 0; i < N; i++) out.mirrors.push(step * i + off + shift);
+        break;
+      }
+      case 'spiralN': {
+        const s = Math.min(1.0, Math.max(0.5, Number(Symmetry.scaleStep || 0.92)));
+        spokes(N);
+        for (let i = 0; i < N; i++) out.rings.push(R0 * Math.pow(s, i));
+        break;
+      }
+      case 'ifsN': {
+        // Where each copy's center lands
+        const { cx, cy } = boxCenter(BOX);
+        spokes(N);
+        for (const m of generatedCopies('ifsN', BOX).matrices.slice(1)) out.points.push(applyMatrix(m, cx, cy));
+        break;
+      }
+      case 'fractalN': {
+        const s = Math.min(1.0, Math.max(0.4, Number(Symmetry.scaleStep || 0.85)));
+        const depth = Math.max(2, Math.min(5, Math.floor(Symmetry.fractalDepth || 3)));
+        spokes(N);
+        for (let d = 0; d < depth; d++) out.rings.push(R0 * Math.pow(s, d));
+        break;
+      }
+      case 'logSpiral': {
+        // Where a point half way to the edge lands in each copy, tracing the spiral arm
+        const { cx, cy } = boxCenter(BOX);
+        for (const m of generatedCopies('logSpiral', BOX).matrices) out.points.push(applyMatrix(m, cx + R0 / 2, cy));
+        break;
+      }
+      case 'phyllotaxis': {
+        // The seed positions
+        const { cx, cy } = boxCenter(BOX);
+        for (const m of generatedCopies('phyllotaxis', BOX).matrices) out.points.push(applyMatrix(m, cx, cy));
+        break;
+      }
+    }
+    return out;
+  }
+
+  // Angular divisions for polar snapping: the current mode's spokes (mandala: those of the ring at `at`)
+  function polarDivisions(BOX, at = null) {
+    if (Symmetry.mode === 'mandala') return { n: Math.max(2, Math.floor(ringAt(BOX, at).n || 6)), a0: 0 };
+    const { spokes } = guideShapes(BOX);
+    return { n: spokes.length, a0: spokes[0] || 0 };
+  }
+
+  // Drawn under the strokes from the live settings (never part of exports)
+  // (the custom editor always previews its copies)
+  function drawGuides(BOX) {
+    if (Symmetry.mode === 'none' || (!Symmetry.showGuides && Symmetry.mode !== 'custom')) return;
+    push();
+    noFill(); strokeWeight(1);
+
+    if (Symmetry.mode === 'wallpaper' || Symmetry.mode === 'frieze') {
+      // Lattice cell edges through the origin, or the band axis and its periods
+      const o = centerOf(BOX);
+      const lines = (Symmetry.mode === 'wallpaper')
+        ? Tiling.latticeLines(Symmetry.wallpaperGroup, o, Symmetry.cellSize, BOX)
+        : Tiling.bandLines(o, Symmetry.friezePeriod, Symmetry.bandVertical, BOX);
+      stroke(240, 60, 80, 35);
+      drawingContext.setLineDash([3, 4]);
+      for (const [x0, y0, x1, y1] of lines) line(x0, y0, x1, y1);
+      drawingContext.setLineDash([]);
+      pop();
+      return;
+    }
+
+    const { cx, cy } = boxCenter(BOX);
+
+    // Custom symmetries: preview the copies on a marker glyph
+    if (Symmetry.mode === 'custom' || presetName()) {
+      pop();
+      CustomSymmetry.drawPreview(getSymmetryTransforms(Symmetry.mode, BOX).map(matrixOf), cx, cy);
+      return;
+    }
+
+    const reach = Math.hypot(BOX.w, BOX.h);
+
+    // Mandala: ring boundaries, with each ring's spokes and mirrors drawn inside it (the edited ring is brighter)
+    if (Symmetry.mode === 'mandala') {
+      const off = offsetRad();
+      let r0 = 0;
+      Symmetry.mandalaRings.forEach((ring, i) => {
+        const last = i === Symmetry.mandalaRings.length - 1;
+        const r1 = last ? reach : ring.r;
+        const n = Math.max(2, Math.floor(ring.n || 6));
+        const seg = (a) => line(cx + Math.cos(a) * r0, cy + Math.sin(a) * r0, cx + Math.cos(a) * r1, cy + Math.sin(a) * r1);
+        stroke(220, 30, 60, 35);
+        for (let k = 0; k < n; k++) seg((2 * Math.PI * k) / n);
+        if (ring.mirror) {
+          stroke(25, 90, 95, 55);
+          drawingContext.setLineDash([6, 5]);
+          for (let k = 0; k < n; k++) { seg((Math.PI * k) / n + off); seg((Math.PI * k) / n + off + Math.PI); }
+          drawingContext.setLineDash([]);
+        }
+        if (!last) {
+          stroke(270, 50, 75, i === ringIdx ? 90 : 45);
+          strokeWeight(i === ringIdx ? 2 : 1);
+          circle(cx, cy, ring.r * 2);
+          strokeWeight(1);
+        }
+        r0 = ring.r;
+      });
+      pop();
+      return;
+    }
+
+    const { spokes, mirrors, rings, points } = guideShapes(BOX);
+
+    stroke(220, 30, 60, 35);
+    for (const a of spokes) line(cx, cy, cx + Math.cos(a) * reach, cy + Math.sin(a) * reach);
+
+    stroke(25, 90, 95, 55);
+    drawingContext.setLineDash([6, 5]);
+    for (const a of mirrors) {
+      const dx = Math.cos(a) * reach, dy = Math.sin(a) * reach;
+      line(cx - dx, cy - dy, cx + dx, cy + dy);
+    }
+
+    stroke(270, 50, 75, 40);
+    drawingContext.setLineDash([2, 4]);
+    for (const r of rings) circle(cx, cy, r * 2);
+    drawingContext.setLineDash([]);
+
+    noStroke(); fill(270, 50, 75, 45);
+    for (const p of points) circle(p.x, p.y, 5);
+    pop();
+  }
+
+  // Center, rotation offset, mirror lines, and frieze band position, saved with stored frames (and center drags and
+  // mirror line edits for undo)
+  function getOrigin() {
+    return {
+      center: Symmetry.center ? { ...Symmetry.center } : null,
+      angleOffset: Number(Symmetry.angleOffset) || 0,
+      mirrorLines: Symmetry.mirrorLines.map(l => ({ ...l })),
+      bandPos: Symmetry.bandPos,
+    };
+  }
+
+  function setOrigin(origin) {
+    if (!origin) return;
+    Symmetry.center = origin.center ? { x: origin.center.x, y: origin.center.y } : null;
+    Symmetry.angleOffset = Number(origin.angleOffset) || 0;
+    Symmetry.mirrorLines = Array.isArray(origin.mirrorLines) ? origin.mirrorLines.map(l => ({ ...l })) : [];
+    if (ui.offsetSlider) ui.offsetSlider.value(Symmetry.angleOffset);
+    if (ui.offsetBadge) ui.offsetBadge.html('&nbsp;' + Symmetry.angleOffset + '°&nbsp;');
+    if (origin.bandPos != null) setBandPos(Number(origin.bandPos) || 0);
+  }
+
+  // Record a settings change that was already made as an undo step between the before and after snapshots
+  function recordSetting(label, get, set, before) {
+    const after = get();
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    Undo.push({ label, undo: () => set(before), redo: () => set(after) });
   }
 
   // UI
@@ -154,52 +918,191 @@
     depthLabel: null,
     depthSlider: null,
     depthBadge: null,
+    offsetLabel: null,
+    offsetSlider: null,
+    offsetBadge: null,
+    groupSelect: null,
+    cellLabel: null,
+    cellSlider: null,
+    cellBadge: null,
+    friezeSelect: null,
+    dirSelect: null,
+    periodLabel: null,
+    periodSlider: null,
+    periodBadge: null,
+    bandLabel: null,
+    bandSlider: null,
+    bandBadge: null,
+    lineButton: null,
+    clearLinesButton: null,
+    lineHint: null,
+    guidesCheck: null,
+    distLabel: null,
+    distSlider: null,
+    distBadge: null,
+    twistLabel: null,
+    twistSlider: null,
+    twistBadge: null,
+    ringSelect: null,
+    ringAddBtn: null,
+    ringRemoveBtn: null,
+    radiusLabel: null,
+    radiusSlider: null,
+    radiusBadge: null,
+    spiral: {},         // count / angle / growth / drift: { label, slider, badge }
+    editPresetBtn: null,
+    deletePresetBtn: null,
   };
 
+  // Log spiral and phyllotaxis share the Count, Angle, and Growth sliders (ranges follow the mode); Drift is the
+  // log spiral's alone. Each entry: label, label x, slider x, slider width, badge x
+  const SPIRAL_SLIDERS = [
+    ['count', 'Count', 0, 45, 90, 140],
+    ['angle', 'Angle', 190, 232, 100, 337],
+    ['growth', 'Growth', 395, 445, 100, 550],
+    ['drift', 'Drift', 610, 645, 90, 740],
+  ];
+  const SPIRAL_RANGES = {   // [min, max, step]
+    logSpiral: { count: [2, MAX_CLONES, 1], angle: [-180, 180, 0.5], growth: [0.8, 1.2, 0.005], drift: [-60, 60, 1] },
+    phyllotaxis: { count: [2, MAX_CLONES, 1], angle: [90, 180, 0.1], growth: [2, 40, 0.5] },
+  };
+
+  function spiralBadge(key, v) {
+    if (key === 'angle') return v + '°';
+    if (key === 'growth' && Symmetry.mode === 'logSpiral') return Number(v).toFixed(3);
+    return String(v);
+  }
+
+  // Point the shared sliders at the current mode's settings
+  function syncSpiralControls() {
+    const ranges = SPIRAL_RANGES[Symmetry.mode];
+    if (!ranges || !ui.spiral.count) return;
+    const o = Symmetry.mode === 'logSpiral' ? Symmetry.logSpiral : Symmetry.phyllotaxis;
+    for (const [key, range] of Object.entries(ranges)) {
+      const { slider, badge } = ui.spiral[key];
+      [slider.elt.min, slider.elt.max, slider.elt.step] = range.map(String);
+      slider.value(o[key]);
+      badge.html('&nbsp;' + spiralBadge(key, o[key]) + '&nbsp;');
+    }
+  }
+
   function show(el, visible) { if (el) el.style('display', visible ? 'inline-block' : 'none'); }
   function place(el, x, y) { if (el && typeof el.position === 'function') el.position(x, y); }
 
   function updateControlsVisibility() {
     const mode = Symmetry.mode;
 
-    const needN = ['radialN','dihedralN','spiralN','kaleidoN','fractalN'].includes(mode);
-    const needMirror = ['dihedralN','kaleidoN'].includes(mode);
-    const needScale = ['spiralN','fractalN'].includes(mode);
+    const needN = ['radialN','dihedralN','spiralN','kaleidoN','fractalN','ifsN','mandala'].includes(mode);
+    const needMirror = ['dihedralN','kaleidoN','mandala'].includes(mode);
+    const needRings = (mode === 'mandala');
+    const needScale = ['spiralN','fractalN','ifsN'].includes(mode);
     const needDepth = (mode === 'fractalN');
+    const needOffset = offsetApplies();
+    const needIfs = (mode === 'ifsN');
+    const needWallpaper = (mode === 'wallpaper');
+    const needFrieze = (mode === 'frieze');
+    const needLines = (mode === 'mirrorLines');
+    const spiralRanges = SPIRAL_RANGES[mode] || {};
 
     show(ui.nLabel, needN); show(ui.nSlider, needN); show(ui.nBadge, needN);
     show(ui.mirrorLabel, needMirror); show(ui.mirrorCheck, needMirror);
     show(ui.scaleLabel, needScale); show(ui.scaleSlider, needScale); show(ui.scaleBadge, needScale);
     show(ui.depthLabel, needDepth); show(ui.depthSlider, needDepth); show(ui.depthBadge, needDepth);
+    show(ui.offsetLabel, needOffset); show(ui.offsetSlider, needOffset); show(ui.offsetBadge, needOffset);
+    show(ui.groupSelect, needWallpaper);
+    show(ui.cellLabel, needWallpaper); show(ui.cellSlider, needWallpaper); show(ui.cellBadge, needWallpaper);
+    show(ui.friezeSelect, needFrieze); show(ui.dirSelect, needFrieze);
+    show(ui.periodLabel, needFrieze); show(ui.periodSlider, needFrieze); show(ui.periodBadge, needFrieze);
+    show(ui.bandLabel, needFrieze); show(ui.bandSlider, needFrieze); show(ui.bandBadge, needFrieze);
+    show(ui.lineButton, needLines); show(ui.clearLinesButton, needLines); show(ui.lineHint, needLines);
+    if (!needLines) setPlacingMirror(false);
+    show(ui.distLabel, needIfs); show(ui.distSlider, needIfs); show(ui.distBadge, needIfs);
+    show(ui.twistLabel, needIfs); show(ui.twistSlider, needIfs); show(ui.twistBadge, needIfs);
+    show(ui.ringSelect, needRings); show(ui.ringAddBtn, needRings); show(ui.ringRemoveBtn, needRings);
+    show(ui.radiusLabel, needRings); show(ui.radiusSlider, needRings); show(ui.radiusBadge, needRings);
+    syncRingControls();
+    for (const [key, { label, slider, badge }] of Object.entries(ui.spiral)) {
+      show(label, !!spiralRanges[key]); show(slider, !!spiralRanges[key]); show(badge, !!spiralRanges[key]);
+    }
+    syncSpiralControls();
+    show(ui.guidesCheck, mode !== 'none');
+    show(ui.editPresetBtn, !!presetName()); show(ui.deletePresetBtn, !!presetName());
+    CustomSymmetry.show(mode === 'custom');
   }
 
-  function createDropdown(x, y) {
-    // Dropdown 
-    ui.select = createSelect();
-    ui.select.position(x+120, y);
-    ui.select.style('font-family', 'cursive')
-      .style('font-size', '11px')
-      .style('padding', '5px')
-      .style('border-radius', '8px')
-      .style('background', '#fff')
-      .style('border', '1px solid #111');
-
-    // Capitalized names
+  // Capitalized names; saved custom presets are listed last
+  function fillModeOptions() {
+    ui.select.elt.innerHTML = '';
     ui.select.option('Free Draw', 'none');
     ui.select.option('180° Rotational', 'rot180');
     ui.select.option('4-Way Rotational', 'rot4');
     ui.select.option('Mirror (Vertical)', 'mirrorV');
+    ui.select.option('Mirror (Horizontal)', 'mirrorH');
+    ui.select.option('Mirror (Four Quadrants)', 'mirrorQuad');
+    ui.select.option('Mirror (Diagonal)', 'mirrorDiag');
+    ui.select.option('Mirror Lines (Custom)', 'mirrorLines');
     ui.select.option('Radial N', 'radialN');
     ui.select.option('Dihedral N', 'dihedralN');
     ui.select.option('Spiral N', 'spiralN');
+    ui.select.option('Logarithmic Spiral', 'logSpiral');
+    ui.select.option('Phyllotaxis (Golden Angle)', 'phyllotaxis');
     ui.select.option('Kaleidoscopic N', 'kaleidoN');
     ui.select.option('Fractal Symmetry N', 'fractalN');
+    ui.select.option('Recursive Fractal N', 'ifsN');
+    ui.select.option('Mandala Rings', 'mandala');
+    ui.select.option('Frieze Band', 'frieze');
+    ui.select.option('Wallpaper Tiling', 'wallpaper');
+    ui.select.option('Custom Symmetry Editor', 'custom');
+    for (const p of CustomSymmetry.presets()) ui.select.option('★ ' + p.name, 'preset:' + p.name);
 
+    // A removed preset falls back to free draw
+    if (presetName() && !CustomSymmetry.get(presetName())) Symmetry.mode = 'none';
     ui.select.selected(Symmetry.mode);
-    ui.select.changed(() => {
-      Symmetry.mode = ui.select.value();
-      updateControlsVisibility();
-    });
+  }
+
+  // N, Mirrors, ring list, and Radius show the edited ring in mandala mode (and the global N/Mirrors otherwise)
+  function syncRingControls() {
+    if (!ui.nSlider) return;
+    const mandala = Symmetry.mode === 'mandala';
+    const ring = currentRing();
+    const n = mandala ? ring.n : Symmetry.N;
+    ui.nSlider.value(n);
+    ui.nBadge.html('&nbsp;' + n + '&nbsp;');
+    ui.mirrorCheck.checked(mandala ? !!ring.mirror : !!Symmetry.useMirrors);
+    if (!ui.ringSelect) return;
+    ui.ringSelect.elt.innerHTML = '';
+    Symmetry.mandalaRings.forEach((_, i) => ui.ringSelect.option(`Ring ${i + 1}`, String(i)));
+    ui.ringSelect.selected(String(ringIdx));
+    ui.radiusSlider.value(ring.r);
+    ui.radiusBadge.html('&nbsp;' + ring.r + '&nbsp;');
+  }
+
+  // Keep rings ordered inner to outer while following the edited one
+  function sortRings() {
+    const ring = currentRing();
+    Symmetry.mandalaRings.sort((a, b) => a.r - b.r);
+    ringIdx = Symmetry.mandalaRings.indexOf(ring);
+  }
+
+  function selectMode(mode) {
+    Symmetry.mode = mode;
+    if (ui.select) ui.select.selected(mode);
+    updateControlsVisibility();
+  }
+
+  function createDropdown(x, y) {
+    // Dropdown 
+    ui.select = createSelect();
+    ui.select.position(x+120, y);
+    ui.select.style('font-family', 'cursive')
+      .style('font-size', '11px')
+      .style('padding', '5px')
+      .style('border-radius', '8px')
+      .style('background', '#fff')
+      .style('border', '1px solid #111');
+
+    fillModeOptions();
+    ui.select.changed(() => selectMode(ui.select.value()));
 
     // Inline controls
     const gx = BOX.x, gy = BOX.h + 80;
@@ -213,10 +1116,18 @@
 
     ui.nSlider = createSlider(2, 36, Symmetry.N, 1);
     ui.nSlider.position(gx + 18, gy + 4).style('width', '110px');
+    // (in mandala mode N and Mirrors belong to the ring being edited)
     ui.nSlider.input(() => {
-      Symmetry.N = ui.nSlider.value();
-      ui.nBadge.html('&nbsp;' + Symmetry.N + '&nbsp;');
+      const v = ui.nSlider.value();
+      if (Symmetry.mode === 'mandala') {
+        ringsBefore = ringsBefore || getRings();
+        currentRing().n = v;
+      } else {
+        Symmetry.N = v;
+      }
+      ui.nBadge.html('&nbsp;' + v + '&nbsp;');
     });
+    ui.nSlider.changed(() => recordRings('Ring N'));
 
     ui.nBadge = createSpan('&nbsp;' + Symmetry.N + '&nbsp;');
     ui.nBadge.position(gx + 134, gy - 2)
@@ -238,7 +1149,15 @@
     ui.mirrorCheck = createCheckbox('', Symmetry.useMirrors);
     place(ui.mirrorCheck, gx + 240, gy + 1);
     ui.mirrorCheck.changed(() => {
-      Symmetry.useMirrors = !!ui.mirrorCheck.elt.checked;
+      const on = !!ui.mirrorCheck.elt.checked;
+      if (Symmetry.mode === 'mandala') {
+        ringsBefore = getRings();
+        currentRing().mirror = on;
+        recordRings('Ring mirrors');
+      } else {
+        Symmetry.useMirrors = on;
+      }
+      updateControlsVisibility();
     });
 
     // Scale slider (for spiral/fractal) 
@@ -290,6 +1209,355 @@
       .style('margin-left', '6px')
       .style('color', '#111');
 
+    // Rotation offset (turns the mirror axes of the dihedral, kaleidoscopic, and mandala modes)
+    ui.offsetLabel = createSpan('<span style="opacity:.75">Offset</span>');
+    ui.offsetLabel.position(gx + 615, gy)
+      .style('font-size', '12px')
+      .style('font-family', 'cursive')
+      .style('color', '#111');
+
+    ui.offsetSlider = createSlider(-180, 180, Symmetry.angleOffset, 1);
+    ui.offsetSlider.position(gx + 665, gy + 4).style('width', '110px');
+    ui.offsetSlider.input(() => {
+      Symmetry.angleOffset = Number(ui.offsetSlider.value());
+      ui.offsetBadge.html('&nbsp;' + Symmetry.angleOffset + '°&nbsp;');
+    });
+
+    ui.offsetBadge = createSpan('&nbsp;' + Symmetry.angleOffset + '°&nbsp;');
+    ui.offsetBadge.position(gx + 780, gy - 2)
+      .style('font-size', '12px')
+      .style('font-family', 'cursive')
+      .style('border', '1px solid #aaa')
+      .style('border-radius', '999px')
+      .style('padding', '2px 6px')
+      .style('margin-left', '6px')
+      .style('color', '#111');
+
+    // Wallpaper group and cell size
+    ui.groupSelect = createSelect();
+    ui.groupSelect.position(gx, gy - 4)
+      .style('font-family', 'cursive')
+      .style('font-size', '11px')
+      .style('padding', '2px')
+      .style('border-radius', '8px')
+      .style('background', '#fff')
+      .style('border', '1px solid #aaa');
+    for (const name of Tiling.wallpaperNames) ui.groupSelect.option(name);
+    ui.groupSelect.selected(Symmetry.wallpaperGroup);
+    ui.groupSelect.changed(() => { Symmetry.wallpaperGroup = ui.groupSelect.value(); });
+
+    ui.cellLabel = createSpan('<span style="opacity:.75">Cell</span>');
+    ui.cellLabel.position(gx + 90, gy)
+      .style('font-size', '12px')
+      .style('font-family', 'cursive')
+      .style('color', '#111');
+
+    ui.cellSlider = createSlider(60, 400, Symmetry.cellSize, 5);
+    ui.cellSlider.position(gx + 125, gy + 4).style('width', '110px');
+    ui.cellSlider.input(() => {
+      Symmetry.cellSize = Number(ui.cellSlider.value());
+      ui.cellBadge.html('&nbsp;' + Symmetry.cellSize + '&nbsp;');
+    });
+
+    ui.cellBadge = createSpan('&nbsp;' + Symmetry.cellSize + '&nbsp;');
+    ui.cellBadge.position(gx + 240, gy - 2)
+      .style('font-size', '12px')
+      .style('font-family', 'cursive')
+      .style('border', '1px solid #aaa')
+      .style('border-radius', '999px')
+      .style('padding', '2px 6px')
+      .style('margin-left', '6px')
+      .style('color', '#111');
+
+    // Frieze group, band direction, period, and band position
+    ui.friezeSelect = createSelect();
+    ui.friezeSelect.position(gx, gy - 4)
+      .style('font-family', 'cursive')
+      .style('font-size', '11px')
+      .style('padding', '2px')
+      .style('border-radius', '8px')
+      .style('background', '#fff')
+      .style('border', '1px solid #aaa');
+    for (const name of Tiling.friezeNames) ui.friezeSelect.option(Tiling.friezeGroups[name].label, name);
+    ui.friezeSelect.selected(Symmetry.friezeGroup);
+    ui.friezeSelect.changed(() => { Symmetry.friezeGroup = ui.friezeSelect.value(); });
+
+    ui.dirSelect = createSelect();
+    ui.dirSelect.position(gx + 160, gy - 4)
+      .style('font-family', 'cursive')
+      .style('font-size', '11px')
+      .style('padding', '2px')
+      .style('border-radius', '8px')
+      .style('background', '#fff')
+      .style('border', '1px solid #aaa');
+    ui.dirSelect.option('Horizontal', 'h');
+    ui.dirSelect.option('Vertical', 'v');
+    ui.dirSelect.selected(Symmetry.bandVertical ? 'v' : 'h');
+    ui.dirSelect.changed(() => { Symmetry.bandVertical = ui.dirSelect.value() === 'v'; });
+
+    ui.periodLabel = createSpan('<span style="opacity:.75">Period</span>');
+    ui.periodLabel.position(gx + 255, gy)
+      .style('font-size', '12px')
+      .style('font-family', 'cursive')
+      .style('color', '#111');
+
+    ui.periodSlider = createSlider(30, 400, Symmetry.friezePeriod, 5);
+    ui.periodSlider.position(gx + 305, gy + 4).style('width', '110px');
+    ui.periodSlider.input(() => {
+      Symmetry.friezePeriod = Number(ui.periodSlider.value());
+      ui.periodBadge.html('&nbsp;' + Symmetry.friezePeriod + '&nbsp;');
+    });
+
+    ui.periodBadge = createSpan('&nbsp;' + Symmetry.friezePeriod + '&nbsp;');
+    ui.periodBadge.position(gx + 420, gy - 2)
+      .style('font-size', '12px')
+      .style('font-family', 'cursive')
+      .style('border', '1px solid #aaa')
+      .style('border-radius', '999px')
+      .style('padding', '2px 6px')
+      .style('margin-left', '6px')
+      .style('color', '#111');
+
+    ui.bandLabel = createSpan('<span style="opacity:.75">Band</span>');
+    ui.bandLabel.position(gx + 480, gy)
+      .style('font-size', '12px')
+      .style('font-family', 'cursive')
+      .style('color', '#111');
+
+    ui.bandSlider = createSlider(0, 100, Symmetry.bandPos, 1);
+    ui.bandSlider.position(gx + 520, gy + 4).style('width', '110px');
+    ui.bandSlider.input(() => setBandPos(Number(ui.bandSlider.value())));
+
+    ui.bandBadge = createSpan('&nbsp;' + Symmetry.bandPos + '%&nbsp;');
+    ui.bandBadge.position(gx + 635, gy - 2)
+      .style('font-size', '12px')
+      .style('font-family', 'cursive')
+      .style('border', '1px solid #aaa')
+      .style('border-radius', '999px')
+      .style('padding', '2px 6px')
+      .style('margin-left', '6px')
+      .style('color', '#111');
+
+    // Mandala rings: pick the ring to edit, add/remove rings, and set its outer radius
+    ui.ringSelect = createSelect();
+    ui.ringSelect.position(gx + 280, gy - 4)
+      .style('font-family', 'cursive')
+      .style('font-size', '11px')
+      .style('padding', '2px')
+      .style('border-radius', '8px')
+      .style('background', '#fff')
+      .style('border', '1px solid #aaa');
+    ui.ringSelect.changed(() => {
+      ringIdx = Number(ui.ringSelect.value()) || 0;
+      syncRingControls();
+    });
+
+    ui.ringAddBtn = createButton('+');
+    ui.ringAddBtn.position(gx + 350, gy - 4)
+      .style('font-family', 'cursive')
+      .style('font-size', '11px')
+      .style('padding', '2px 6px')
+      .style('border-radius', '8px')
+      .style('background', '#fff')
+      .style('border', '1px solid #aaa');
+    ui.ringAddBtn.mousePressed(() => {
+      // New ring outside the outermost one, with twice its folds
+      const outer = Symmetry.mandalaRings[Symmetry.mandalaRings.length - 1];
+      ringsBefore = getRings();
+      Symmetry.mandalaRings.push({ r: outer.r + 100, n: Math.min(36, outer.n * 2), mirror: outer.mirror });
+      ringIdx = Symmetry.mandalaRings.length - 1;
+      syncRingControls();
+      recordRings('Add ring');
+    });
+
+    ui.ringRemoveBtn = createButton('−');
+    ui.ringRemoveBtn.position(gx + 378, gy - 4)
+      .style('font-family', 'cursive')
+      .style('font-size', '11px')
+      .style('padding', '2px 6px')
+      .style('border-radius', '8px')
+      .style('background', '#fff')
+      .style('border', '1px solid #aaa');
+    ui.ringRemoveBtn.mousePressed(() => {
+      if (Symmetry.mandalaRings.length < 2) return;
+      ringsBefore = getRings();
+      Symmetry.mandalaRings.splice(ringIdx, 1);
+      syncRingControls();
+      recordRings('Remove ring');
+    });
+
+    ui.radiusLabel = createSpan('<span style="opacity:.75">Radius</span>');
+    ui.radiusLabel.position(gx + 415, gy)
+      .style('font-size', '12px')
+      .style('font-family', 'cursive')
+      .style('color', '#111');
+
+    ui.radiusSlider = createSlider(20, 800, currentRing().r, 5);
+    ui.radiusSlider.position(gx + 465, gy + 4).style('width', '90px');
+    ui.radiusSlider.input(() => {
+      ringsBefore = ringsBefore || getRings();
+      currentRing().r = Number(ui.radiusSlider.value());
+      ui.radiusBadge.html('&nbsp;' + currentRing().r + '&nbsp;');
+    });
+    // Re-sort once the drag ends so ring numbers stay inner to outer
+    ui.radiusSlider.changed(() => { sortRings(); syncRingControls(); recordRings('Ring radius'); });
+
+    ui.radiusBadge = createSpan('&nbsp;' + currentRing().r + '&nbsp;');
+    ui.radiusBadge.position(gx + 560, gy - 2)
+      .style('font-size', '12px')
+      .style('font-family', 'cursive')
+      .style('border', '1px solid #aaa')
+      .style('border-radius', '999px')
+      .style('padding', '2px 6px')
+      .style('margin-left', '6px')
+      .style('color', '#111');
+
+    // Recursive fractal: branch distance (in the Depth slot) and per-level twist (in the Offset slot)
+    ui.distLabel = createSpan('<span style="opacity:.75">Distance</span>');
+    ui.distLabel.position(gx + 385, gy)
+      .style('font-size', '12px')
+      .style('font-family', 'cursive')
+      .style('color', '#111');
+
+    ui.distSlider = createSlider(0, 400, Symmetry.ifsDistance, 5);
+    ui.distSlider.position(gx + 445, gy + 4).style('width', '110px');
+    ui.distSlider.input(() => {
+      Symmetry.ifsDistance = Number(ui.distSlider.value());
+      ui.distBadge.html('&nbsp;' + Symmetry.ifsDistance + '&nbsp;');
+    });
+
+    ui.distBadge = createSpan('&nbsp;' + Symmetry.ifsDistance + '&nbsp;');
+    ui.distBadge.position(gx + 560, gy - 2)
+      .style('font-size', '12px')
+      .style('font-family', 'cursive')
+      .style('border', '1px solid #aaa')
+      .style('border-radius', '999px')
+      .style('padding', '2px 6px')
+      .style('margin-left', '6px')
+      .style('color', '#111');
+
+    ui.twistLabel = createSpan('<span style="opacity:.75">Twist</span>');
+    ui.twistLabel.position(gx + 615, gy)
+      .style('font-size', '12px')
+      .style('font-family', 'cursive')
+      .style('color', '#111');
+
+    ui.twistSlider = createSlider(-180, 180, Symmetry.ifsTwist, 1);
+    ui.twistSlider.position(gx + 665, gy + 4).style('width', '110px');
+    ui.twistSlider.input(() => {
+      Symmetry.ifsTwist = Number(ui.twistSlider.value());
+      ui.twistBadge.html('&nbsp;' + Symmetry.ifsTwist + '°&nbsp;');
+    });
+
+    ui.twistBadge = createSpan('&nbsp;' + Symmetry.ifsTwist + '°&nbsp;');
+    ui.twistBadge.position(gx + 780, gy - 2)
+      .style('font-size', '12px')
+      .style('font-family', 'cursive')
+      .style('border', '1px solid #aaa')
+      .style('border-radius', '999px')
+      .style('padding', '2px 6px')
+      .style('margin-left', '6px')
+      .style('color', '#111');
+
+    // Log spiral / phyllotaxis sliders (values go to the current mode's settings)
+    for (const [key, text, lx, sx, w, bx] of SPIRAL_SLIDERS) {
+      const label = createSpan('<span style="opacity:.75">' + text + '</span>');
+      label.position(gx + lx, gy)
+        .style('font-size', '12px')
+        .style('font-family', 'cursive')
+        .style('color', '#111');
+
+      const slider = createSlider(0, 1, 0, 1);
+      slider.position(gx + sx, gy + 4).style('width', w + 'px');
+      slider.input(() => {
+        const o = Symmetry.mode === 'logSpiral' ? Symmetry.logSpiral : Symmetry.phyllotaxis;
+        o[key] = Number(slider.value());
+        badge.html('&nbsp;' + spiralBadge(key, o[key]) + '&nbsp;');
+      });
+
+      const badge = createSpan('');
+      badge.position(gx + bx, gy - 2)
+        .style('font-size', '12px')
+        .style('font-family', 'cursive')
+        .style('border', '1px solid #aaa')
+        .style('border-radius', '999px')
+        .style('padding', '2px 6px')
+        .style('margin-left', '6px')
+        .style('color', '#111');
+
+      ui.spiral[key] = { label, slider, badge };
+    }
+
+    // Guides toggle (right end of the row)
+    ui.guidesCheck = createCheckbox(' Guides', Symmetry.showGuides);
+    place(ui.guidesCheck, BOX.x + BOX.w - 270, gy);
+    ui.guidesCheck.style('font-size', '12px').style('font-family', 'cursive').style('color', '#111');
+    ui.guidesCheck.changed(() => { Symmetry.showGuides = !!ui.guidesCheck.elt.checked; });
+
+    // Custom presets: edit (loads it into the editor) or delete
+    CustomSymmetry.init({
+      box: BOX,
+      onChange: fillModeOptions,
+      onSaved: (name) => selectMode('preset:' + name),
+    });
+
+    ui.editPresetBtn = createButton('Edit preset');
+    ui.editPresetBtn.position(gx, gy - 4)
+      .style('font-family', 'cursive')
+      .style('font-size', '11px')
+      .style('padding', '2px 8px')
+      .style('border-radius', '8px')
+      .style('background', '#fff')
+      .style('border', '1px solid #aaa');
+    ui.editPresetBtn.mousePressed(() => {
+      CustomSymmetry.edit(presetName());
+      selectMode('custom');
+    });
+
+    ui.deletePresetBtn = createButton('Delete preset');
+    ui.deletePresetBtn.position(gx + 95, gy - 4)
+      .style('font-family', 'cursive')
+      .style('font-size', '11px')
+      .style('padding', '2px 8px')
+      .style('border-radius', '8px')
+      .style('background', '#fff')
+      .style('border', '1px solid #EF4444')
+      .style('color', '#EF4444');
+    ui.deletePresetBtn.mousePressed(() => {
+      const name = presetName();
+      if (name && confirm(`Delete the preset "${name}"?`)) {
+        CustomSymmetry.remove(name);
+        updateControlsVisibility();
+      }
+    });
+
+    // Custom mirror lines
+    ui.lineButton = createButton('+ Mirror line');
+    ui.lineButton.position(gx, gy - 4)
+      .style('font-family', 'cursive')
+      .style('font-size', '11px')
+      .style('padding', '2px 8px')
+      .style('border-radius', '8px')
+      .style('background', '#fff')
+      .style('border', '1px solid #aaa');
+    ui.lineButton.mousePressed(() => setPlacingMirror(!Symmetry.placingMirror));
+
+    ui.clearLinesButton = createButton('Clear lines');
+    ui.clearLinesButton.position(gx + 105, gy - 4)
+      .style('font-family', 'cursive')
+      .style('font-size', '11px')
+      .style('padding', '2px 8px')
+      .style('border-radius', '8px')
+      .style('background', '#fff')
+      .style('border', '1px solid #aaa');
+    ui.clearLinesButton.mousePressed(clearMirrorLines);
+
+    ui.lineHint = createSpan('<span style="opacity:.6">click it, then drag across the box</span>');
+    ui.lineHint.position(gx + 195, gy)
+      .style('font-size', '12px')
+      .style('font-family', 'cursive')
+      .style('color', '#111');
+
     updateControlsVisibility();
     return ui.select;
   }
@@ -315,6 +1583,56 @@
     ui.depthLabel && ui.depthLabel.position(gx + 400, gy);
     ui.depthSlider && ui.depthSlider.position(gx + 445, gy + 4);
     ui.depthBadge && ui.depthBadge.position(gx + 560, gy - 2);
+
+    ui.offsetLabel && ui.offsetLabel.position(gx + 615, gy);
+    ui.offsetSlider && ui.offsetSlider.position(gx + 665, gy + 4);
+    ui.offsetBadge && ui.offsetBadge.position(gx + 780, gy - 2);
+
+    ui.groupSelect && ui.groupSelect.position(gx, gy - 4);
+    ui.cellLabel && ui.cellLabel.position(gx + 90, gy);
+    ui.cellSlider && ui.cellSlider.position(gx + 125, gy + 4);
+    ui.cellBadge && ui.cellBadge.position(gx + 240, gy - 2);
+
+    ui.friezeSelect && ui.friezeSelect.position(gx, gy - 4);
+    ui.dirSelect && ui.dirSelect.position(gx + 160, gy - 4);
+    ui.periodLabel && ui.periodLabel.position(gx + 255, gy);
+    ui.periodSlider && ui.periodSlider.position(gx + 305, gy + 4);
+    ui.periodBadge && ui.periodBadge.position(gx + 420, gy - 2);
+    ui.bandLabel && ui.bandLabel.position(gx + 480, gy);
+    ui.bandSlider && ui.bandSlider.position(gx + 520, gy + 4);
+    ui.bandBadge && ui.bandBadge.position(gx + 635, gy - 2);
+
+    ui.ringSelect && ui.ringSelect.position(gx + 280, gy - 4);
+    ui.ringAddBtn && ui.ringAddBtn.position(gx + 350, gy - 4);
+    ui.ringRemoveBtn && ui.ringRemoveBtn.position(gx + 378, gy - 4);
+    ui.radiusLabel && ui.radiusLabel.position(gx + 415, gy);
+    ui.radiusSlider && ui.radiusSlider.position(gx + 465, gy + 4);
+    ui.radiusBadge && ui.radiusBadge.position(gx + 560, gy - 2);
+
+    ui.distLabel && ui.distLabel.position(gx + 385, gy);
+    ui.distSlider && ui.distSlider.position(gx + 445, gy + 4);
+    ui.distBadge && ui.distBadge.position(gx + 560, gy - 2);
+    ui.twistLabel && ui.twistLabel.position(gx + 615, gy);
+    ui.twistSlider && ui.twistSlider.position(gx + 665, gy + 4);
+    ui.twistBadge && ui.twistBadge.position(gx + 780, gy - 2);
+
+    for (const [key, , lx, sx, , bx] of SPIRAL_SLIDERS) {
+      const c = ui.spiral[key];
+      if (!c) continue;
+      c.label.position(gx + lx, gy);
+      c.slider.position(gx + sx, gy + 4);
+      c.badge.position(gx + bx, gy - 2);
+    }
+
+    ui.lineButton && ui.lineButton.position(gx, gy - 4);
+    ui.clearLinesButton && ui.clearLinesButton.position(gx + 105, gy - 4);
+    ui.lineHint && ui.lineHint.position(gx + 195, gy);
+
+    ui.guidesCheck && ui.guidesCheck.position(BOX.x + BOX.w - 270, gy);
+
+    ui.editPresetBtn && ui.editPresetBtn.position(gx, gy - 4);
+    ui.deletePresetBtn && ui.deletePresetBtn.position(gx + 95, gy - 4);
+    CustomSymmetry.reposition({ box: BOX });
   }
 
   const Symmetry = {
@@ -323,11 +1641,63 @@
     useMirrors: true,
     scaleStep: 0.92,
     fractalDepth: 3,
+    center: null,       // {x, y} or null for the middle of the box
+    angleOffset: 0,     // degrees
+    wallpaperGroup: 'p4m',
+    cellSize: 150,      // lattice cell size in px
+    friezeGroup: 'hop',
+    friezePeriod: 120,  // px between repeats along the band
+    bandVertical: false,
+    bandPos: 50,        // band axis position across the box (%)
+    mirrorLines: [],    // user-drawn mirrors [{x1, y1, x2, y2}]
+    placingMirror: false,
+    showGuides: true,
+    ifsDistance: 120,   // px from a parent's center to its first-level branches
+    ifsTwist: 0,        // extra turn per level (degrees)
+    logSpiral: { count: 30, angle: 30, growth: 0.94, drift: 0 },   // copies, degrees and scale per copy, px per copy along x
+    phyllotaxis: { count: 200, angle: 137.5, growth: 10 },         // seeds, degrees per seed, px of radius per sqrt(seed)
+    variation: {       // per-clone style (see cloneVariation)
+      hueSpread: 0,     // degrees of hue across all clones
+      fade: 0,          // % lost per depth level
+      fadeTarget: 'brightness', // 'brightness' | 'opacity'
+      scaleThickness: false,
+    },
+    mandalaRings: [     // inner to outer: outer radius (px), folds, mirrors
+      { r: 90, n: 6, mirror: true },
+      { r: 220, n: 12, mirror: false },
+      { r: 360, n: 24, mirror: true },
+    ],
 
     createDropdown,
-    getTransforms: (BOX) => getSymmetryTransforms(Symmetry.mode, BOX),
+    getTransforms: (BOX, at = null) => getSymmetryTransforms(Symmetry.mode, BOX, at),
     buildClones,
+    symmetrize,
     reposition,
+
+    centerOf,
+    setCenter,
+    clampCenter,
+    hitCenterHandle,
+    drawCenterHandle,
+    drawGuides,
+    polarDivisions,
+    isPlacingMirror,
+    beginMirrorLine,
+    dragMirrorLine,
+    endMirrorLine,
+    drawMirrorLines,
+    getOrigin,
+    setOrigin,
+
+    matrixOf,
+    invertMatrix,
+    composeMatrices,
+    applyMatrix,
+    linkedWith,
+    propagate,
+    propagateStyle,
+    relink,
+    unlink,
   };
 
   window.Symmetry = Symmetry;
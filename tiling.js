@@ -0,0 +1,189 @@
+/* tiling.js
+   - Repeating symmetries for symmetry.js: the 17 wallpaper groups and the 7 frieze groups
+   - Each group is a list of operations in lattice (fractional) coordinates, [a11, a12, a21, a22, tu, tv]:
+       u' = a11*u + a12*v + tu, v' = a21*u + a22*v + tv (standard setting of the International Tables)
+   - Operations are turned into affine matrices {a, b, c, d, e, f} in canvas space and repeated over
+       every lattice translation whose copy of the box can reach the box
+   - Frieze groups use the same form with u along the band (in periods) and v across it (in px); they only repeat along u
+*/
+
+(function (root) {
+  const Tiling = {};
+
+  const H = 0.5;
+
+  // Lattice shapes (basis vectors for a cell of size s)
+  const LATTICES = {
+    oblique: (s) => [{ x: s, y: 0 }, { x: s * 0.35, y: s * 0.85 }],
+    rectangular: (s) => [{ x: s, y: 0 }, { x: 0, y: s * 0.75 }],
+    centered: (s) => [{ x: s, y: 0 }, { x: 0, y: s * 1.4 }],
+    square: (s) => [{ x: s, y: 0 }, { x: 0, y: s }],
+    hexagonal: (s) => [{ x: s, y: 0 }, { x: -s / 2, y: s * Math.sqrt(3) / 2 }],
+  };
+
+  const I = [1, 0, 0, 1, 0, 0];
+  const P3 = [I, [0, -1, 1, -1, 0, 0], [-1, 1, -1, 0, 0, 0]];
+  const P6 = P3.concat([[-1, 0, 0, -1, 0, 0], [0, 1, -1, 1, 0, 0], [1, -1, 1, 0, 0, 0]]);
+  const P4 = [I, [-1, 0, 0, -1, 0, 0], [0, -1, 1, 0, 0, 0], [0, 1, -1, 0, 0, 0]];
+
+  // Centered groups repeat their operations shifted by (1/2, 1/2)
+  const centeredOps = (ops) => ops.concat(ops.map(o => [o[0], o[1], o[2], o[3], o[4] + H, o[5] + H]));
+
+  Tiling.wallpaperGroups = {
+    p1: { lattice: 'oblique', ops: [I] },
+    p2: { lattice: 'oblique', ops: [I, [-1, 0, 0, -1, 0, 0]] },
+    pm: { lattice: 'rectangular', ops: [I, [-1, 0, 0, 1, 0, 0]] },
+    pg: { lattice: 'rectangular', ops: [I, [-1, 0, 0, 1, 0, H]] },
+    cm: { lattice: 'centered', ops: centeredOps([I, [-1, 0, 0, 1, 0, 0]]) },
+    pmm: { lattice: 'rectangular', ops: [I, [-1, 0, 0, -1, 0, 0], [-1, 0, 0, 1, 0, 0], [1, 0, 0, -1, 0, 0]] },
+    pmg: { lattice: 'rectangular', ops: [I, [-1, 0, 0, -1, 0, 0], [-1, 0, 0, 1, H, 0], [1, 0, 0, -1, H, 0]] },
+    pgg: { lattice: 'rectangular', ops: [I, [-1, 0, 0, -1, 0, 0], [-1, 0, 0, 1, H, H], [1, 0, 0, -1, H, H]] },
+    cmm: { lattice: 'centered', ops: centeredOps([I, [-1, 0, 0, -1, 0, 0], [-1, 0, 0, 1, 0, 0], [1, 0, 0, -1, 0, 0]]) },
+    p4: { lattice: 'square', ops: P4 },
+    p4m: { lattice: 'square', ops: P4.concat([[-1, 0, 0, 1, 0, 0], [1, 0, 0, -1, 0, 0], [0, 1, 1, 0, 0, 0], [0, -1, -1, 0, 0, 0]]) },
+    p4g: { lattice: 'square', ops: P4.concat([[-1, 0, 0, 1, H, H], [1, 0, 0, -1, H, H], [0, 1, 1, 0, H, H], [0, -1, -1, 0, H, H]]) },
+    p3: { lattice: 'hexagonal', ops: P3 },
+    p3m1: { lattice: 'hexagonal', ops: P3.concat([[0, -1, -1, 0, 0, 0], [-1, 1, 0, 1, 0, 0], [1, 0, 1, -1, 0, 0]]) },
+    p31m: { lattice: 'hexagonal', ops: P3.concat([[0, 1, 1, 0, 0, 0], [1, -1, 0, -1, 0, 0], [-1, 0, -1, 1, 0, 0]]) },
+    p6: { lattice: 'hexagonal', ops: P6 },
+    p6m: { lattice: 'hexagonal', ops: P6.concat([[0, -1, -1, 0, 0, 0], [-1, 1, 0, 1, 0, 0], [1, 0, 1, -1, 0, 0], [0, 1, 1, 0, 0, 0], [1, -1, 0, -1, 0, 0], [-1, 0, -1, 1, 0, 0]]) },
+  };
+
+  Tiling.wallpaperNames = Object.keys(Tiling.wallpaperGroups);
+
+  // Frieze groups by Conway's names
+  Tiling.friezeGroups = {
+    hop: { label: 'Hop (p1)', ops: [I] },
+    step: { label: 'Step (p11g)', ops: [I, [1, 0, 0, -1, H, 0]] },
+    sidle: { label: 'Sidle (p1m1)', ops: [I, [-1, 0, 0, 1, 0, 0]] },
+    spinningHop: { label: 'Spinning hop (p2)', ops: [I, [-1, 0, 0, -1, 0, 0]] },
+    spinningSidle: { label: 'Spinning sidle (p2mg)', ops: [I, [-1, 0, 0, -1, 0, 0], [-1, 0, 0, 1, H, 0], [1, 0, 0, -1, H, 0]] },
+    jump: { label: 'Jump (p11m)', ops: [I, [1, 0, 0, -1, 0, 0]] },
+    spinningJump: { label: 'Spinning jump (p2mm)', ops: [I, [-1, 0, 0, -1, 0, 0], [-1, 0, 0, 1, 0, 0], [1, 0, 0, -1, 0, 0]] },
+  };
+
+  Tiling.friezeNames = Object.keys(Tiling.friezeGroups);
+
+  // Basis vectors of a group's lattice for cell size s
+  Tiling.basis = function (group, s) {
+    const g = Tiling.wallpaperGroups[group] || Tiling.wallpaperGroups.p1;
+    return LATTICES[g.lattice](s);
+  };
+
+  // Canvas-space matrices for a wallpaper group with its lattice origin at o (identity first; at most `limit`, nearest
+  // the center first)
+  Tiling.wallpaperMatrices = function (group, o, cellSize, BOX, limit) {
+    const g = Tiling.wallpaperGroups[group] || Tiling.wallpaperGroups.p1;
+    const [a1, a2] = LATTICES[g.lattice](Math.max(10, cellSize));
+    const ops = g.ops.map(op => _opMatrix(op, a1, a2, o));
+    return _repeat(ops, a1, a2, BOX, false, limit);
+  };
+
+  // Canvas-space matrices for a frieze group along a band through o (horizontal, or vertical)
+  Tiling.friezeMatrices = function (group, o, period, vertical, BOX, limit) {
+    const g = Tiling.friezeGroups[group] || Tiling.friezeGroups.hop;
+    const [a1, a2] = _bandBasis(period, vertical);
+    const ops = g.ops.map(op => _opMatrix(op, a1, a2, o));
+    return _repeat(ops, a1, a2, BOX, true, limit);
+  };
+
+  // Period vector along the band and a unit vector across it
+  function _bandBasis(period, vertical) {
+    const p = Math.max(10, period);
+    return vertical ? [{ x: 0, y: p }, { x: 1, y: 0 }] : [{ x: p, y: 0 }, { x: 0, y: 1 }];
+  }
+
+  // Fractional op -> canvas matrix: x' = o + B * (A * B^-1 * (x - o) + t)
+  function _opMatrix(op, a1, a2, o) {
+    const [p, q, r, s, tu, tv] = op;
+    const det = a1.x * a2.y - a2.x * a1.y;
+    // B^-1
+    const bi = { a: a2.y / det, b: -a1.y / det, c: -a2.x / det, d: a1.x / det };
+    // A * B^-1
+    const m = {
+      a: p * bi.a + q * bi.b, b: r * bi.a + s * bi.b,
+      c: p * bi.c + q * bi.d, d: r * bi.c + s * bi.d,
+    };
+    // B * (A * B^-1)
+    const L = {
+      a: a1.x * m.a + a2.x * m.b, b: a1.y * m.a + a2.y * m.b,
+      c: a1.x * m.c + a2.x * m.d, d: a1.y * m.c + a2.y * m.d,
+    };
+    const tx = a1.x * tu + a2.x * tv, ty = a1.y * tu + a2.y * tv;
+    return {
+      a: L.a, b: L.b, c: L.c, d: L.d,
+      e: o.x - (L.a * o.x + L.c * o.y) + tx,
+      f: o.y - (L.b * o.x + L.d * o.y) + ty,
+    };
+  }
+
+  // Every op combined with every lattice translation that maps some part of the box back into the box
+  // (band: translations only along a1)
+  function _repeat(ops, a1, a2, BOX, band = false, limit = Infinity) {
+    const det = a1.x * a2.y - a2.x * a1.y;
+    const frac = (x, y) => ({ u: (x * a2.y - y * a2.x) / det, v: (y * a1.x - x * a1.y) / det });
+    const corners = [[BOX.x, BOX.y], [BOX.x + BOX.w, BOX.y], [BOX.x, BOX.y + BOX.h], [BOX.x + BOX.w, BOX.y + BOX.h]];
+    const cx = BOX.x + BOX.w / 2, cy = BOX.y + BOX.h / 2;
+    const out = [];
+
+    for (const m of ops) {
+      // Translations t with (m(box) + t) overlapping the box
+      const img = corners.map(([x, y]) => ({ x: m.a * x + m.c * y + m.e, y: m.b * x + m.d * y + m.f }));
+      const lo = { x: BOX.x - Math.max(...img.map(p => p.x)), y: BOX.y - Math.max(...img.map(p => p.y)) };
+      const hi = { x: BOX.x + BOX.w - Math.min(...img.map(p => p.x)), y: BOX.y + BOX.h - Math.min(...img.map(p => p.y)) };
+      const fs = [frac(lo.x, lo.y), frac(hi.x, lo.y), frac(lo.x, hi.y), frac(hi.x, hi.y)];
+      const u0 = Math.floor(Math.min(...fs.map(f => f.u))), u1 = Math.ceil(Math.max(...fs.map(f => f.u)));
+      const v0 = band ? 0 : Math.floor(Math.min(...fs.map(f => f.v)));
+      const v1 = band ? 0 : Math.ceil(Math.max(...fs.map(f => f.v)));
+      for (let u = u0; u <= u1; u++) {
+        for (let v = v0; v <= v1; v++) {
+          const tx = u * a1.x + v * a2.x, ty = u * a1.y + v * a2.y;
+          if (tx < lo.x || tx > hi.x || ty < lo.y || ty > hi.y) continue;
+          const t = { ...m, e: m.e + tx, f: m.f + ty };
+          // distance of the box center's copy from the box center (used to trim very dense tilings)
+          const q = { x: t.a * cx + t.c * cy + t.e, y: t.b * cx + t.d * cy + t.f };
+          out.push({ m: t, d: Math.hypot(q.x - cx, q.y - cy) });
+        }
+      }
+    }
+
+    out.sort((p, q) => p.d - q.d);
+    return out.slice(0, limit).map(x => x.m);
+  }
+
+  // Lattice lines through o covering the box (for the overlay): [[x0, y0, x1, y1], ...]
+  Tiling.latticeLines = function (group, o, cellSize, BOX) {
+    const [a1, a2] = Tiling.basis(group, Math.max(10, cellSize));
+    const reach = Math.hypot(BOX.w, BOX.h) + Math.hypot(o.x - (BOX.x + BOX.w / 2), o.y - (BOX.y + BOX.h / 2));
+    const lines = [];
+    for (const [dir, step] of [[a1, a2], [a2, a1]]) {
+      const len = Math.hypot(dir.x, dir.y), ux = dir.x / len, uy = dir.y / len;
+      // spacing between neighbouring lines measured across them
+      const gap = Math.abs(step.x * -uy + step.y * ux);
+      const n = Math.ceil(reach / gap);
+      for (let k = -n; k <= n; k++) {
+        const px = o.x + step.x * k, py = o.y + step.y * k;
+        lines.push([px - ux * reach * 2, py - uy * reach * 2, px + ux * reach * 2, py + uy * reach * 2]);
+      }
+    }
+    return lines;
+  };
+
+  // Band axis plus a cross line at every period (for the overlay): [[x0, y0, x1, y1], ...]
+  Tiling.bandLines = function (o, period, vertical, BOX) {
+    const [a1] = _bandBasis(period, vertical);
+    const lines = [];
+    if (vertical) {
+      lines.push([o.x, BOX.y, o.x, BOX.y + BOX.h]);
+      const k0 = Math.floor((BOX.y - o.y) / a1.y), k1 = Math.ceil((BOX.y + BOX.h - o.y) / a1.y);
+      for (let k = k0; k <= k1; k++) lines.push([BOX.x, o.y + k * a1.y, BOX.x + BOX.w, o.y + k * a1.y]);
+    } else {
+      lines.push([BOX.x, o.y, BOX.x + BOX.w, o.y]);
+      const k0 = Math.floor((BOX.x - o.x) / a1.x), k1 = Math.ceil((BOX.x + BOX.w - o.x) / a1.x);
+      for (let k = k0; k <= k1; k++) lines.push([o.x + k * a1.x, BOX.y, o.x + k * a1.x, BOX.y + BOX.h]);
+    }
+    return lines;
+  };
+
+  root.Tiling = Tiling;
+})(window);
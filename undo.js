@@ -0,0 +1,117 @@
+/* undo.js
+   - Command-based undo/redo stack for every change made to the strokes array
+   - Two kinds of commands are recorded: replacing the whole array (draw, erase, delete, clear, load, AI art)
+       and in-place edits of individual strokes (move, vertex drag, recolor)
+*/
+
+(function (root) {
+  const Undo = {};
+  const LIMIT = 200;
+
+  let setStrokes = () => {};
+  let onApply = null;
+
+  let undoStack = [];
+  let redoStack = [];
+
+  // Strokes array setter + callback after undo/redo (to reset selection state)
+  Undo.configure = function ({ set, onApply: cb } = {}) {
+    if (typeof set === 'function') setStrokes = set;
+    onApply = typeof cb === 'function' ? cb : onApply;
+  };
+
+  // Push a custom command { label, undo(), redo() } that has already been applied
+  Undo.push = function (cmd) {
+    if (!cmd || typeof cmd.undo !== 'function' || typeof cmd.redo !== 'function') return;
+    undoStack.push(cmd);
+    if (undoStack.length > LIMIT) undoStack.shift();
+    redoStack = [];
+  };
+
+  // Record a swap of the whole strokes array (before -> after, already applied)
+  Undo.replace = function (label, before, after) {
+    if (before === after) return;
+    const a = Array.isArray(before) ? before.slice() : [];
+    const b = Array.isArray(after) ? after.slice() : [];
+    if (a.length === b.length && a.every((s, i) => s === b[i])) return;
+    Undo.push({
+      label,
+      undo: () => setStrokes(a.slice()),
+      redo: () => setStrokes(b.slice()),
+    });
+  };
+
+  // Snapshot strokes before an in-place edit; pass the result to commitEdit when the edit ends
+  Undo.beginEdit = function (list) {
+    const items = (Array.isArray(list) ? list : [list]).filter(Boolean);
+    return items.map(s => ({ s, before: captureStroke(s) }));
+  };
+
+  Undo.commitEdit = function (label, pending) {
+    if (!Array.isArray(pending) || !pending.length) return;
+    const items = [];
+    for (const { s, before } of pending) {
+      const after = captureStroke(s);
+      if (!sameState(before, after)) items.push({ s, before, after });
+    }
+    if (!items.length) return;
+    Undo.push({
+      label,
+      undo: () => { for (const it of items) restoreStroke(it.s, it.before); },
+      redo: () => { for (const it of items) restoreStroke(it.s, it.after); },
+    });
+  };
+
+  Undo.undo = function () {
+    const cmd = undoStack.pop();
+    if (!cmd) return false;
+    cmd.undo();
+    redoStack.push(cmd);
+    if (onApply) onApply(cmd, 'undo');
+    return true;
+  };
+
+  Undo.redo = function () {
+    const cmd = redoStack.pop();
+    if (!cmd) return false;
+    cmd.redo();
+    undoStack.push(cmd);
+    if (onApply) onApply(cmd, 'redo');
+    return true;
+  };
+
+  Undo.canUndo = () => undoStack.length > 0;
+  Undo.canRedo = () => redoStack.length > 0;
+
+  // Copies every own property; arrays of plain objects (points) are copied one level deep
+  function captureStroke(s) {
+    const out = {};
+    for (const k of Object.keys(s)) out[k] = _copyValue(s[k]);
+    return out;
+  }
+
+  function restoreStroke(s, state) {
+    for (const k of Object.keys(s)) if (!(k in state)) delete s[k];
+    for (const k of Object.keys(state)) s[k] = _copyValue(state[k]);
+  }
+
+  function _copyValue(v) {
+    if (Array.isArray(v)) return v.map(e => (e && e.constructor === Object) ? { ...e } : e);
+    if (v && v.constructor === Object) return { ...v };
+    return v;
+  }
+
+  function sameState(a, b) {
+    const ka = Object.keys(a), kb = Object.keys(b);
+    if (ka.length !== kb.length) return false;
+    for (const k of ka) {
+      const va = a[k], vb = b[k];
+      if (va === vb) continue;
+      if (!va || !vb || typeof va !== 'object' || typeof vb !== 'object') return false;
+      if (JSON.stringify(va) !== JSON.stringify(vb)) return false;
+    }
+    return true;
+  }
+
+  root.Undo = Undo;
+})(window);
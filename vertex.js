@@ -29,12 +29,13 @@
     return best;
   };
 
-  // Finds the closest projected point along any stroke segment
-  Vertex.closestSegmentProjection = function (points, x, y) {
+  // Finds the closest projected point along any stroke segment (including the closing one if closed)
+  Vertex.closestSegmentProjection = function (points, x, y, closed = false) {
     if (!points || points.length < 2) return null;
     let best = null;
-    for (let i = 0; i < points.length - 1; i++) {
-      const p0 = points[i], p1 = points[i + 1];
+    const segs = (closed && points.length >= 3) ? points.length : points.length - 1;
+    for (let i = 0; i < segs; i++) {
+      const p0 = points[i], p1 = points[(i + 1) % points.length];
       const hit = _segProjection(x, y, p0.x, p0.y, p1.x, p1.y);
       if (!best || hit.dist < best.dist) best = { i, ...hit };
     }
@@ -45,7 +46,7 @@
   Vertex.drawHandles = function (s, selectedVertexIdx = -1) {
     if (!s || !Array.isArray(s.points)) return;
     noFill(); stroke(0, 0, 20, 60); strokeWeight(1);
-    beginShape(); for (const pt of s.points) vertex(pt.x, pt.y); endShape();
+    beginShape(); for (const pt of s.points) vertex(pt.x, pt.y); endShape(s.closed ? CLOSE : undefined);
     for (let i = 0; i < s.points.length; i++) {
       const pt = s.points[i];
       stroke('#111'); noFill(); circle(pt.x, pt.y, 10);
@@ -86,11 +87,74 @@
       let j = 1; while (j < L.length && L[j] < t) j++;
       const i = Math.max(1, j), t0 = L[i - 1], t1 = L[i], seg = t1 - t0 || 1e-9;
       const u = (t - t0) / seg, p0 = points[i - 1], p1 = points[i];
-      out.push({ x: lerp(p0.x, p1.x, u), y: lerp(p0.y, p1.y, u) });
+      out.push({ x: lerp(p0.x, p1.x, u), y: lerp(p0.y, p1.y, u), w: lerp(p0.w ?? 1, p1.w ?? 1, u) });
     }
     return out;
   };
 
+  // Ramer–Douglas–Peucker: drops points closer than tol to the simplified path (keeps w on kept points)
+  // A point is also kept when its width factor is more than W_TOL off the width interpolated across the span,
+  // so pressure and speed swells survive
+  const W_TOL = 0.1;
+  Vertex.simplifyRDP = function (points, tol, closed = false) {
+    if (!Array.isArray(points) || points.length < 3 || !(tol > 0)) return points ? points.slice() : [];
+    const pts = closed ? points.concat([points[0]]) : points;
+    const keep = new Uint8Array(pts.length);
+    keep[0] = keep[pts.length - 1] = 1;
+    const stack = [[0, pts.length - 1]];
+    while (stack.length) {
+      const [a, b] = stack.pop();
+      let idx = -1, maxErr = 1;
+      for (let i = a + 1; i < b; i++) {
+        const hit = _segProjection(pts[i].x, pts[i].y, pts[a].x, pts[a].y, pts[b].x, pts[b].y);
+        const wErr = Math.abs((pts[i].w ?? 1) - lerp(pts[a].w ?? 1, pts[b].w ?? 1, hit.t));
+        const err = Math.max(hit.dist / tol, wErr / W_TOL);
+        if (err > maxErr) { maxErr = err; idx = i; }
+      }
+      if (idx !== -1) { keep[idx] = 1; stack.push([a, idx], [idx, b]); }
+    }
+    const out = [];
+    for (let i = 0; i < pts.length; i++) if (keep[i]) out.push({ ...pts[i] });
+    if (closed) out.pop();
+    return (closed && out.length < 3) ? points.slice() : out;
+  };
+
+  // Chaikin corner cutting; open strokes keep their endpoints
+  Vertex.chaikin = function (points, iterations = 2, closed = false) {
+    let pts = Array.isArray(points) ? points.slice() : [];
+    for (let it = 0; it < iterations && pts.length >= 3; it++) {
+      const out = closed ? [] : [pts[0]];
+      const segs = closed ? pts.length : pts.length - 1;
+      for (let i = 0; i < segs; i++) {
+        const p0 = pts[i], p1 = pts[(i + 1) % pts.length];
+        const q = (u) => ({ x: lerp(p0.x, p1.x, u), y: lerp(p0.y, p1.y, u), w: lerp(p0.w ?? 1, p1.w ?? 1, u) });
+        out.push(q(0.25), q(0.75));
+      }
+      if (!closed) { out.splice(1, 1); out.splice(out.length - 1, 1, pts[pts.length - 1]); }
+      pts = out;
+    }
+    return pts;
+  };
+
+  // RDP followed by optional Chaikin smoothing (used when a freehand stroke is committed)
+  Vertex.simplify = function (points, { tolerance = 1, smooth = false, closed = false } = {}) {
+    let out = Vertex.simplifyRDP(points, tolerance, closed);
+    if (smooth) out = Vertex.chaikin(out, 2, closed);
+    return out;
+  };
+
+  // Simplifies an existing stroke: resample evenly first so dense and sparse parts are treated alike
+  Vertex.simplifyStroke = function (points, { tolerance = 1, smooth = false, closed = false } = {}) {
+    if (!Array.isArray(points) || points.length < 3) return points ? points.slice() : [];
+    const loop = closed ? points.concat([points[0]]) : points;
+    let len = 0;
+    for (let i = 1; i < loop.length; i++) len += dist(loop[i - 1].x, loop[i - 1].y, loop[i].x, loop[i].y);
+    const spacing = Math.max(2, tolerance);
+    let even = Vertex.resamplePoints(loop, Math.max(closed ? 4 : 2, Math.ceil(len / spacing) + 1));
+    if (closed) even.pop();
+    return Vertex.simplify(even, { tolerance: Math.max(0.5, tolerance), smooth, closed });
+  };
+
   function _segProjection(px, py, x1, y1, x2, y2) {
     const dx = x2 - x1, dy = y2 - y1, len2 = dx*dx + dy*dy || 1e-9;
     let t = ((px - x1)*dx + (py - y1)*dy) / len2; t = constrain(t, 0, 1);